@@ -2,14 +2,128 @@ const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const zlib = require('zlib');
 
 /* ---------------- CONSTANTS ---------------- */
 const PORT = process.env.PORT || 3000;
-const COUNTRY = 'RO';
+// Countries served by this instance (ISO codes), each one gets its own catalog
+const COUNTRIES = (process.env.COUNTRIES || 'RO,MD')
+    .split(',')
+    .map(c => c.trim().toUpperCase())
+    .filter(Boolean);
+
+// Languages of the manifest, catalogs and descriptions (chosen per install on /configure)
+// and of the landing page (from Accept-Language)
+const LOCALES = ['ro', 'en'];
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'ro';
+
+// Catalog names for known countries, others fall back to "TV <Country>" / "<Country> TV"
+const COUNTRY_CATALOG_NAMES = {
+    ro: { RO: 'TV România', MD: 'TV Moldova', HU: 'TV Ungaria' },
+    en: { RO: 'Romanian TV', MD: 'Moldovan TV', HU: 'Hungarian TV' }
+};
 const IPTV_CHANNELS_URL = 'https://iptv-org.github.io/api/channels.json';
 const IPTV_STREAMS_URL = 'https://iptv-org.github.io/api/streams.json';
 const IPTV_LOGOS_URL = 'https://iptv-org.github.io/api/logos.json';
 const IPTV_GUIDES_URL = 'https://iptv-org.github.io/api/guides.json';
+const IPTV_BLOCKLIST_URL = 'https://iptv-org.github.io/api/blocklist.json';
+const IPTV_FEEDS_URL = 'https://iptv-org.github.io/api/feeds.json';
+
+// XMLTV sources for programme data (comma-separated URLs or local file paths).
+// `{site}` is replaced with every guide site listed in guides.json for our channels,
+// so a mirror of the iptv-org/epg output or a single local .xml/.xml.gz file both work.
+const EPG_SOURCES = (process.env.EPG_SOURCES || 'https://iptv-org.github.io/epg/guides/{site}.xml')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+const EPG_TIMEZONE = 'Europe/Bucharest';
+
+// Snapshots of the iptv-org data, logos and EPG survive restarts here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Extra M3U/M3U8 playlists merged into the iptv-org data (comma-separated URLs or local file paths)
+const M3U_SOURCES = (process.env.M3U_SOURCES || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Show channels flagged is_nsfw to every user (users can also opt in on /configure)
+const ALLOW_NSFW = process.env.ALLOW_NSFW === 'true';
+
+// Password for the /admin dashboard (the dashboard is disabled when unset)
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+
+// Private instance: once this file exists every install URL needs one of its tokens
+// (https://host/t/<token>/manifest.json). Edit it to issue and revoke tokens.
+const ACCESS_TOKENS_FILE = process.env.ACCESS_TOKENS_FILE || path.join(DATA_DIR, 'tokens.json');
+const ACCESS_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Per client (install token, or IP address without one): requests per minute and requests
+// in flight. 0 turns a limit off.
+const RATE_LIMITS = {
+    'hls-proxy': {
+        perMinute: parseInt(process.env.PROXY_RATE_LIMIT ?? 600),
+        concurrent: parseInt(process.env.PROXY_MAX_CONCURRENT ?? 16)
+    },
+    'poster-png': {
+        perMinute: parseInt(process.env.POSTER_RATE_LIMIT ?? 300),
+        concurrent: parseInt(process.env.POSTER_MAX_CONCURRENT ?? 8)
+    }
+};
+
+// Express "trust proxy" setting, needed for per-IP limits behind a reverse proxy
+// (e.g. TRUST_PROXY=loopback or the number of proxy hops)
+const TRUST_PROXY = !process.env.TRUST_PROXY || process.env.TRUST_PROXY === 'false' ? false
+    : process.env.TRUST_PROXY === 'true' ? true
+    : /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY;
+
+// Send streams through /hls-proxy (set STREAM_PROXY=false to hand out direct URLs)
+const STREAM_PROXY = process.env.STREAM_PROXY !== 'false';
+
+// /hls-proxy and /poster-png refuse private/loopback upstreams unless this is set (local development)
+const PROXY_ALLOW_PRIVATE = process.env.PROXY_ALLOW_PRIVATE === 'true';
+
+// Dead streams often redirect to a search engine instead of failing
+const ERROR_DOMAINS = ['google.com', 'www.google.com', 'yahoo.com', 'bing.com'];
+
+// iptv-org API, EPG and M3U downloads (channels.json and streams.json are several MB)
+const UPSTREAM_TIMEOUT = 30 * 1000; // 30 seconds
+const ETAG_CHECK_TIMEOUT = 10 * 1000; // 10 seconds
+
+// Background refresh scheduler: how often TTLs and the streams.json ETag are checked
+const REFRESH_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// After this many failed refreshes in a row an upstream source is left alone for a while
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+
+// Stream health checker
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30 * 60 * 1000; // 30 minutes
+const HEALTH_CHECK_CONCURRENCY = 5;
+const HEALTH_CHECK_TIMEOUT = 10000; // 10 seconds per request
+
+// /play failover: per-stream timeout and how long the working stream is remembered
+const FAILOVER_TIMEOUT = 5000; // 5 seconds
+const FAILOVER_WINNER_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Relay mode (per channel or stream, set in /admin): segments go through /hls-proxy too and
+// are shared between viewers from a small in-memory cache
+const SEGMENT_CACHE_TTL = 30 * 1000; // 30 seconds, a few segments of a live stream
+const SEGMENT_CACHE_SIZE = (parseInt(process.env.SEGMENT_CACHE_MB) || 64) * 1024 * 1024;
+const SEGMENT_MAX_SIZE = 16 * 1024 * 1024; // 16 MB
+
+// Variants parsed from master playlists, reused by /stream for a few minutes
+const VARIANTS_TTL = 10 * 60 * 1000; // 10 minutes
 
 // Priority channels to show first (case-insensitive matching)
 const PRIORITY_CHANNELS = [
@@ -21,526 +135,3812 @@ const PRIORITY_CHANNELS = [
     'protv news',
 ];
 
+// Home board rows, in order. "countries", "genres" and "networks" expand to one row per
+// country / genre / network (most channels first, networks need at least 2 channels).
+// Single rows are "country:<code>", "genre:<category>" and "network:<name>".
+const CATALOG_ROWS = (process.env.CATALOG_ROWS || 'countries,genre:news,genre:sports,networks')
+    .split(',')
+    .map(r => r.trim())
+    .filter(Boolean);
+
+// Row titles for iptv-org categories
+const GENRE_LABELS = {
+    ro: {
+        animation: 'Animație',
+        auto: 'Auto',
+        business: 'Business',
+        classic: 'Clasice',
+        comedy: 'Comedie',
+        cooking: 'Gastronomie',
+        culture: 'Cultură',
+        documentary: 'Documentare',
+        education: 'Educație',
+        entertainment: 'Divertisment',
+        family: 'Familie',
+        general: 'Generaliste',
+        interactive: 'Interactive',
+        kids: 'Copii',
+        legislative: 'Legislativ',
+        lifestyle: 'Lifestyle',
+        movies: 'Filme',
+        music: 'Muzică',
+        news: 'Știri',
+        outdoor: 'Outdoor',
+        public: 'Publice',
+        relax: 'Relaxare',
+        religious: 'Religioase',
+        science: 'Știință',
+        series: 'Seriale',
+        shop: 'Shopping',
+        sports: 'Sport',
+        travel: 'Călătorii',
+        weather: 'Meteo',
+        xxx: 'Adulți'
+    },
+    en: {
+        animation: 'Animation',
+        auto: 'Auto',
+        business: 'Business',
+        classic: 'Classic',
+        comedy: 'Comedy',
+        cooking: 'Cooking',
+        culture: 'Culture',
+        documentary: 'Documentary',
+        education: 'Education',
+        entertainment: 'Entertainment',
+        family: 'Family',
+        general: 'General',
+        interactive: 'Interactive',
+        kids: 'Kids',
+        legislative: 'Legislative',
+        lifestyle: 'Lifestyle',
+        movies: 'Movies',
+        music: 'Music',
+        news: 'News',
+        outdoor: 'Outdoor',
+        public: 'Public',
+        relax: 'Relax',
+        religious: 'Religious',
+        science: 'Science',
+        series: 'Series',
+        shop: 'Shopping',
+        sports: 'Sports',
+        travel: 'Travel',
+        weather: 'Weather',
+        xxx: 'Adult'
+    }
+};
+
+// Text of the manifest, meta descriptions and landing page
+const STRINGS = {
+    ro: {
+        description: 'Canale TV românești live',
+        network: 'Rețea',
+        languages: 'Limbi',
+        now: 'Acum',
+        next: 'Urmează',
+        subtitle: 'Addon Stremio pentru Canale TV Românești',
+        copy: 'Copiază',
+        copied: 'Copiat!',
+        installWeb: 'Instalează pe Stremio Web',
+        installApp: 'Instalează pe Aplicația Stremio',
+        configure: 'Personalizează canalele și genurile →',
+        screenshot: 'Pagina Principală Romanian TV',
+        support: 'Îți place acest addon? ♥️ Susține-mă!',
+        kofi: 'Cumpara-mi o cafea',
+        developedBy: 'Dezvoltat de',
+        providedBy: 'Oferit de',
+        live: 'În direct',
+        autoFailover: 'Automat (failover)',
+        configureTitle: 'Configurare',
+        configureIntro: 'Alege canalele și genurile afișate în Stremio.',
+        addonLanguage: 'Limba addonului',
+        addonLanguageHint: 'Numele cataloagelor, genurile și descrierile canalelor din Stremio.',
+        countries: 'Țări',
+        countriesHint: 'Fiecare țară are propriul catalog. Nicio selecție = toate țările.',
+        rows: 'Rânduri pe pagina principală',
+        rowsHint: 'Un rând pe linie, în ordinea dorită:',
+        rowsSearchHint: 'Căutarea funcționează doar în rândurile de țară.',
+        priorityChannels: 'Canale prioritare',
+        priorityChannelsHint: 'Un nume pe linie, în ordinea în care vrei să apară pe prima pagină.',
+        hiddenChannels: 'Canale ascunse',
+        genres: 'Genuri',
+        genresHint: 'Nicio selecție = toate genurile.',
+        quality: 'Calitate preferată',
+        anyQuality: 'Oricare',
+        languagesHint: 'Streamurile în alte limbi (de exemplu feed-urile în maghiară) sunt ascunse. Nicio selecție = toate limbile.',
+        adultContent: 'Conținut pentru adulți',
+        showNsfw: 'Afișează canalele marcate NSFW'
+    },
+    en: {
+        description: 'Live Romanian TV channels',
+        network: 'Network',
+        languages: 'Languages',
+        now: 'Now',
+        next: 'Next',
+        subtitle: 'Stremio Addon for Romanian TV Channels',
+        copy: 'Copy',
+        copied: 'Copied!',
+        installWeb: 'Install on Stremio Web',
+        installApp: 'Install in the Stremio App',
+        configure: 'Customise channels and genres →',
+        screenshot: 'Romanian TV home board',
+        support: 'Enjoying this addon? ♥️ Support me!',
+        kofi: 'Buy me a coffee',
+        developedBy: 'Developed by',
+        providedBy: 'Powered by',
+        live: 'Live',
+        autoFailover: 'Auto (failover)',
+        configureTitle: 'Configuration',
+        configureIntro: 'Pick the channels and genres shown in Stremio.',
+        addonLanguage: 'Addon language',
+        addonLanguageHint: 'Catalog names, genres and channel descriptions in Stremio.',
+        countries: 'Countries',
+        countriesHint: 'Every country has its own catalog. Nothing selected = all countries.',
+        rows: 'Home board rows',
+        rowsHint: 'One row per line, in the order you want:',
+        rowsSearchHint: 'Search only works in the country rows.',
+        priorityChannels: 'Priority channels',
+        priorityChannelsHint: 'One name per line, in the order they should appear on the first page.',
+        hiddenChannels: 'Hidden channels',
+        genres: 'Genres',
+        genresHint: 'Nothing selected = all genres.',
+        quality: 'Preferred quality',
+        anyQuality: 'Any',
+        languagesHint: 'Streams in other languages (Hungarian feeds, for example) are hidden. Nothing selected = all languages.',
+        adultContent: 'Adult content',
+        showNsfw: 'Show channels marked NSFW'
+    }
+};
+
+// Generated poster images: canvas size and the box the logo is fitted into.
+// Stremio uses "poster" for posters and "landscape" for the meta background.
+const POSTER_SHAPES = {
+    poster: { width: 480, height: 720, logoWidth: 320, logoHeight: 400 }, // 2:3
+    landscape: { width: 1280, height: 720, logoWidth: 640, logoHeight: 400 }, // 16:9
+    square: { width: 512, height: 512, logoWidth: 360, logoHeight: 360 }
+};
+
+// Poster formats in order of preference, picked from the client's Accept header
+const POSTER_FORMATS = [
+    { format: 'avif', type: 'image/avif' },
+    { format: 'webp', type: 'image/webp' },
+    { format: 'png', type: 'image/png' }
+];
+
+// Logo choice in getPoster: points per logos.json format and tag
+const LOGO_FORMAT_SCORES = { svg: 30, png: 25, webp: 25, avif: 20, jpeg: 10, jpg: 10, gif: 5 };
+const LOGO_TAG_SCORES = { white: 10, picons: -10 };
+
+// SVG logos are rendered at up to this density (DPI, 72 = the SVG's own size)
+const SVG_MAX_DENSITY = 2400;
+
+// Rendered posters kept in memory (least recently used are dropped first)
+const POSTER_CACHE_SIZE = parseInt(process.env.POSTER_CACHE_SIZE) || 500;
+
+// Number of metas per catalog page (Stremio asks for the next page with skip=<items so far>)
+const CATALOG_PAGE_SIZE = 50;
+
+// Base URLs (host and install token) the catalog metas are cached for
+const META_CACHE_URLS = 50;
+
+// Stream quality options offered on the /configure page
+const QUALITY_OPTIONS = ['any', '1080p', '720p', '576p', '480p', '360p'];
+
+// Settings used when the manifest is installed without a config in its path
+const DEFAULT_CONFIG = {
+    priorityChannels: PRIORITY_CHANNELS,
+    hiddenChannels: [],
+    genres: [],
+    countries: [],
+    rows: [],
+    quality: 'any',
+    languages: [],
+    nsfw: ALLOW_NSFW,
+    locale: DEFAULT_LOCALE
+};
+
 /* ---------------- APP SETUP ---------------- */
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
+app.use(trackRequestMetrics);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static(__dirname)); // Serve static files (images)
+app.use(resolveAccessToken);
+
+// Serve the images next to addon.js, nothing else from the project folder (DATA_DIR
+// holds the proxy signing secret, the snapshots and the access tokens)
+const serveImages = express.static(__dirname);
+app.use((req, res, next) => /^\/[\w-]+\.png$/.test(req.path) ? serveImages(req, res, next) : next());
+
+app.use(requireAccessToken);
+
+// Express 4 doesn't catch rejected promises: hand them to the error handler below the routes
+function asyncHandler(fn) {
+    return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
 
 /* ---------------- CACHE ---------------- */
-let cache = { channels: null, streams: null };
+let cache = { channels: null, streams: null, feeds: [], replacements: {} };
+let blocklistCache = null;
 let lastFetch = 0;
 let lastETag = null;
+let dataRefreshing = null;
 const TTL = 60 * 60 * 1000; // 1 hour
 
 let logosCache = null;
 let logosLastFetch = 0;
+let logosRefreshing = null;
 const LOGOS_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
-let posterCache = new Map();
+// LRU: Map keeps insertion order, hits are re-inserted so the oldest entry comes first.
+// Rendered posters are also written to DATA_DIR/posters so restarts don't re-render them.
+const posterCache = new Map(); // cache key -> { buffer, timestamp }
+const POSTER_DIR = path.join(DATA_DIR, 'posters');
 const POSTER_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
 
+// Latest probe result per stream URL: { ok, latency, lastChecked, error }
+const streamHealth = new Map();
+let healthCheckRunning = false;
+
+let variantsCache = new Map(); // master playlist URL -> { variants, timestamp }
+
+const failoverWinners = new Map(); // channel id -> { url, timestamp }
+
+// Relayed segments, oldest first (Map insertion order) so eviction drops the oldest
+const segmentCache = new Map(); // segment URL -> { buffer, contentType, timestamp }
+let segmentCacheBytes = 0;
+const segmentFetches = new Map(); // segment URL -> in-flight fetch shared by all viewers
+
+// Circuit breaker per upstream source ("data", "logos", "epg")
+const circuits = new Map(); // source -> { failures, openUntil }
+
+let epgCache = null; // Map of channel id -> sorted programmes
+let epgLastFetch = 0;
+let epgFetching = null;
+const EPG_TTL = 60 * 60 * 1000; // 1 hour
+
+/* ---------------- USER CONFIG ---------------- */
+// The config is a base64url-encoded JSON object embedded in the manifest path
+// (/:config/manifest.json), so Stremio sends it back with every resource request.
+function parseConfig(encoded) {
+    const defaults = getDefaultConfig();
+    if (!encoded) {
+        return defaults;
+    }
+
+    try {
+        const parsed = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        const toList = (value, fallback) => Array.isArray(value) ? value.map(String).filter(Boolean) : fallback;
+
+        return {
+            priorityChannels: toList(parsed.priorityChannels, defaults.priorityChannels),
+            hiddenChannels: toList(parsed.hiddenChannels, defaults.hiddenChannels),
+            genres: toList(parsed.genres, defaults.genres),
+            countries: toList(parsed.countries, defaults.countries).filter(c => COUNTRIES.includes(c)),
+            rows: toList(parsed.rows, defaults.rows),
+            quality: QUALITY_OPTIONS.includes(parsed.quality) ? parsed.quality : defaults.quality,
+            languages: toList(parsed.languages, defaults.languages),
+            nsfw: typeof parsed.nsfw === 'boolean' ? parsed.nsfw : defaults.nsfw,
+            locale: LOCALES.includes(parsed.locale) ? parsed.locale : defaults.locale
+        };
+    } catch (err) {
+        console.warn('Invalid addon config, using defaults:', err.message);
+        return defaults;
+    }
+}
+
+// The operator's priority list from /admin replaces the built-in one
+function getDefaultConfig() {
+    return { ...DEFAULT_CONFIG, priorityChannels: overrides.priorityChannels || DEFAULT_CONFIG.priorityChannels };
+}
+
+function getConfig(req) {
+    return parseConfig(req.params.config);
+}
+
+// Countries the user picked, all served countries when none were picked
+function getUserCountries(config) {
+    return config.countries.length ? COUNTRIES.filter(c => config.countries.includes(c)) : COUNTRIES;
+}
+
+// Hidden channels are stored by iptv-org id, but names are accepted too.
+// Channels hidden in /admin are hidden for every user, NSFW channels need an opt-in.
+function isHiddenChannel(channel, config) {
+    if (channel.is_nsfw && !config.nsfw) return true;
+    return overrides.hiddenChannels.includes(channel.id) || config.hiddenChannels.some(hidden =>
+        hidden === channel.id || hidden.toLowerCase() === channel.name.toLowerCase()
+    );
+}
+
+function getPriorityIndex(channel, config) {
+    return config.priorityChannels.findIndex(p => channel.name.toLowerCase().includes(p.toLowerCase()));
+}
+
+// Sort streams so the ones closest to the preferred quality come first
+function sortStreamsByQuality(streams, quality) {
+    const preferred = parseInt(quality);
+    if (!preferred) return streams;
+
+    const distance = stream => {
+        const height = parseInt(stream.quality);
+        return height ? Math.abs(height - preferred) : Infinity;
+    };
+    return [...streams].sort((a, b) => distance(a) - distance(b));
+}
+
+/* ---------------- ADMIN OVERRIDES ---------------- */
+// Instance-wide curation from the /admin dashboard, kept in DATA_DIR/overrides.json:
+// { priorityChannels, hiddenChannels, relayChannels, relayStreams (URLs),
+//   channels: { <channel id>: { name, logo } } }
+function normalizeOverrides(raw) {
+    const toList = value => Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : [];
+    const channels = {};
+
+    Object.entries(raw?.channels || {}).forEach(([id, override]) => {
+        const name = String(override?.name || '').trim();
+        const logo = String(override?.logo || '').trim();
+        const entry = {};
+        if (name) entry.name = name;
+        if (/^https?:\/\//i.test(logo)) entry.logo = logo;
+        if (Object.keys(entry).length) channels[id] = entry;
+    });
+
+    return {
+        // null keeps the built-in PRIORITY_CHANNELS
+        priorityChannels: Array.isArray(raw?.priorityChannels) ? toList(raw.priorityChannels) : null,
+        hiddenChannels: toList(raw?.hiddenChannels),
+        relayChannels: toList(raw?.relayChannels),
+        relayStreams: toList(raw?.relayStreams),
+        channels
+    };
+}
+
+let overrides = normalizeOverrides(readSnapshot('overrides'));
+let overridesVersion = 0;
+let overriddenData = null; // { source, version, data }
+
+// Relay mode for a stream: set in /admin for its channel or URL (variants keep the URL of
+// their master playlist), or carried over from the token of the playlist it came from
+function isRelayStream(stream) {
+    return Boolean(stream.relay) ||
+        overrides.relayChannels.includes(stream.channel) ||
+        overrides.relayStreams.includes(stream.sourceUrl || stream.url);
+}
+
+async function saveOverrides(next) {
+    overrides = normalizeOverrides(next);
+    overridesVersion++;
+    return writeSnapshot('overrides', overrides);
+}
+
+// Channel names renamed in /admin, on top of the fetched data, plus the lookup maps the
+// routes use instead of scanning the lists. The result is reused until either the data
+// or the overrides change.
+function applyOverrides(data) {
+    if (!overriddenData || overriddenData.source !== data || overriddenData.version !== overridesVersion) {
+        const channels = data.channels.map(c => {
+            const name = overrides.channels[c.id]?.name;
+            return name ? { ...c, name } : c;
+        });
+        const channelsById = new Map(channels.map(c => [c.id, c]));
+        const streamsByChannel = new Map();
+        data.streams.forEach(s => {
+            if (!streamsByChannel.has(s.channel)) streamsByChannel.set(s.channel, []);
+            streamsByChannel.get(s.channel).push(s);
+        });
+
+        // Channels of the served countries (channels.json lists the whole world) and their networks
+        const channelsByCountry = new Map(COUNTRIES.map(country => [country, []]));
+        channels.forEach(c => channelsByCountry.get(c.country)?.push(c));
+        const networksBySlug = new Map();
+        channelsByCountry.forEach(countryChannels => countryChannels.forEach(c => {
+            if (c.network && !networksBySlug.has(slugify(c.network))) {
+                networksBySlug.set(slugify(c.network), c.network);
+            }
+        }));
+
+        overriddenData = {
+            source: data,
+            version: overridesVersion,
+            data: { ...data, channels, channelsById, streamsByChannel, channelsByCountry, networksBySlug }
+        };
+    }
+    return overriddenData.data;
+}
+
 /* ---------------- DATA FETCHING & CACHING ---------------- */
+// Snapshots are written atomically (temp file + rename) so a crash never leaves half a file
+async function writeSnapshot(name, data) {
+    try {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const file = path.join(DATA_DIR, `${name}.json`);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(data));
+        await fs.promises.rename(`${file}.tmp`, file);
+        return true;
+    } catch (err) {
+        console.warn(`Failed to write ${name} snapshot:`, err.message);
+        return false;
+    }
+}
+
+function readSnapshot(name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`Failed to read ${name} snapshot:`, err.message);
+        }
+        return null;
+    }
+}
+
+// Stale-while-revalidate: once there is data (fresh or from the disk snapshot) it is
+// returned right away, the refresh scheduler keeps it up to date. Only a cold start
+// without a snapshot waits for iptv-org. Channel renames from /admin are applied on the way out.
 async function getData() {
-    // Check if cache is still valid by time
-    if (cache.channels && Date.now() - lastFetch < TTL) {
-        // Even if time-valid, check if iptv-org has new data via ETag
-        try {
-            const headRes = await axios.head(IPTV_STREAMS_URL);
-            const currentETag = headRes.headers['etag'];
-
-            // If ETag changed, iptv-org has new data - bust cache immediately
-            if (currentETag && currentETag !== lastETag) {
-                console.log('🔄 New data detected from iptv-org (ETag changed), refreshing cache...');
-            } else {
-                // No new data, use cached version
-                return cache;
-            }
-        } catch (err) {
-            // If HEAD request fails, just use cache
-            return cache;
+    return applyOverrides(await getCachedData());
+}
+
+async function getCachedData() {
+    if (!cache.channels) {
+        const snapshot = readSnapshot('data');
+        if (snapshot) {
+            cache = {
+                channels: snapshot.channels,
+                streams: snapshot.streams,
+                feeds: snapshot.feeds || [],
+                replacements: snapshot.replacements || {}
+            };
+            blocklistCache = snapshot.blocklist || null;
+            lastFetch = snapshot.fetchedAt;
+            lastETag = snapshot.etag;
+            console.log(`💾 Loaded data snapshot from ${new Date(lastFetch).toISOString()}`);
+        }
+    }
+
+    if (!cache.channels) {
+        return refreshData();
+    }
+
+    return cache;
+}
+
+function isCircuitOpen(source) {
+    const circuit = circuits.get(source);
+    return Boolean(circuit && Date.now() < circuit.openUntil);
+}
+
+// After CIRCUIT_FAILURE_THRESHOLD failures in a row the circuit opens for CIRCUIT_COOLDOWN.
+// The first refresh after that is let through: success closes it, failure opens it again.
+function updateCircuit(source, ok) {
+    const circuit = circuits.get(source) || { failures: 0, openUntil: 0 };
+
+    if (ok) {
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+    } else if (++circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN;
+        console.warn(`⚡ ${source} circuit open after ${circuit.failures} failed refreshes, next attempt in ${CIRCUIT_COOLDOWN / 60000} min`);
+    }
+
+    circuits.set(source, circuit);
+}
+
+function circuitOpenError(source) {
+    return Object.assign(new Error(`${source} refresh skipped, circuit open`), { code: 'ECIRCUITOPEN' });
+}
+
+// Share a single in-flight refresh between concurrent requests
+function refreshData() {
+    if (!dataRefreshing) {
+        if (isCircuitOpen('data')) {
+            return cache.channels ? Promise.resolve(cache) : Promise.reject(circuitOpenError('data'));
         }
+
+        const start = Date.now();
+        dataRefreshing = fetchData()
+            .then(data => {
+                recordRefresh('data', start, true);
+                updateCircuit('data', true);
+                return data;
+            })
+            .catch(err => {
+                recordRefresh('data', start, false);
+                updateCircuit('data', false);
+                console.error('Data refresh failed' + (cache.channels ? ', serving cached data:' : ':'), err.message);
+                throw err;
+            })
+            .finally(() => {
+                dataRefreshing = null;
+            });
     }
+    return dataRefreshing;
+}
 
+async function fetchData() {
     console.log('Fetching fresh data from iptv-org API...');
 
-    const [channelsRes, streamsRes] = await Promise.all([
-        axios.get(IPTV_CHANNELS_URL),
-        axios.get(IPTV_STREAMS_URL)
+    const [channelsRes, streamsRes, blocklist, feeds] = await Promise.all([
+        axios.get(IPTV_CHANNELS_URL, { timeout: UPSTREAM_TIMEOUT }),
+        axios.get(IPTV_STREAMS_URL, { timeout: UPSTREAM_TIMEOUT }),
+        fetchBlocklist(),
+        fetchFeeds()
     ]);
 
     // Store ETag for change detection
     lastETag = streamsRes.headers['etag'];
 
-    // Filter channels to only Romanian channels
-    const romanianChannels = channelsRes.data.filter(c => c.country === COUNTRY);
+    // Merge in channels and streams from user-supplied M3U playlists
+    const merged = mergeM3uEntries(
+        channelsRes.data,
+        streamsRes.data,
+        await loadM3uSources()
+    );
+
+    // Drop blocklisted, closed and replaced channels (M3U streams included)
+    const { channels, streams, replacements } = applyChannelRules(merged.channels, merged.streams, blocklist);
 
+    // Keep the full channel list, catalogs filter by country on request
     cache = {
-        channels: romanianChannels,
-        streams: streamsRes.data
+        channels,
+        streams,
+        feeds,
+        replacements
     };
     lastFetch = Date.now();
 
+    writeSnapshot('data', { fetchedAt: lastFetch, etag: lastETag, channels, streams, feeds, replacements, blocklist });
+
     return cache;
 }
 
-async function fetchLogos() {
-    if (logosCache && Date.now() - logosLastFetch < LOGOS_TTL) {
-        return logosCache;
+// A failed blocklist download shouldn't fail the whole refresh: the previous
+// blocklist (kept in the data snapshot) is used instead
+async function fetchBlocklist() {
+    try {
+        const res = await axios.get(IPTV_BLOCKLIST_URL, { timeout: UPSTREAM_TIMEOUT });
+        blocklistCache = res.data;
+    } catch (err) {
+        console.warn('Blocklist fetch failed' + (blocklistCache ? ', using the previous one:' : ':'), err.message);
     }
+    return blocklistCache || [];
+}
 
-    const res = await axios.get(IPTV_LOGOS_URL);
-    logosCache = res.data;
-    logosLastFetch = Date.now();
-    return logosCache;
+// Feeds only add labels and ordering, the previous ones are kept when the download fails
+async function fetchFeeds() {
+    try {
+        const res = await axios.get(IPTV_FEEDS_URL, { timeout: UPSTREAM_TIMEOUT });
+        return res.data;
+    } catch (err) {
+        console.warn('Feeds fetch failed' + (cache.feeds.length ? ', using the previous ones:' : ':'), err.message);
+        return cache.feeds;
+    }
 }
 
-/* ---------------- HELPER FUNCTIONS ---------------- */
-async function getPoster(channel) {
-    // Priority 1: Any available logo from logos.json (widest, non-SVG)
-    const logos = await fetchLogos();
-    const candidates = logos.filter(l =>
-        l.channel === channel.id &&
-        l.format?.toLowerCase() !== 'svg'
-    );
+// iptv-org's own curation: blocklisted (DMCA/NSFW takedowns) and closed channels are
+// dropped with their streams. Channels with a replaced_by are remembered so /meta and
+// /stream can send old library entries to the successor. is_nsfw channels are kept and
+// filtered per user by isHiddenChannel.
+function applyChannelRules(channels, streams, blocklist) {
+    const blocked = new Map(blocklist.map(entry => [entry.channel, entry]));
+    const now = new Date();
+    const excluded = new Set();
+    const replacements = {};
+    const counts = { blocklist: 0, closed: 0, replaced: 0 };
 
-    if (candidates.length) {
-        // Sort by width (widest first) to get the best quality logo
-        candidates.sort((a, b) => b.width - a.width);
-        return candidates[0].url;
-    }
+    const exclude = (channel, type, reason) => {
+        excluded.add(channel.id);
+        // Only the served countries are worth a line each
+        if (COUNTRIES.includes(channel.country)) {
+            counts[type]++;
+            console.log(`🚫 Excluding ${channel.id} (${channel.name}): ${reason}`);
+        }
+    };
 
-    // Priority 2: Channel's logo field (if not SVG)
-    if (channel.logo && !channel.logo.endsWith('.svg')) {
-        return channel.logo;
+    channels.forEach(channel => {
+        const block = blocked.get(channel.id);
+        // replaced_by may point at a feed ("Channel.ro@HD"), the channel is enough
+        const successor = channel.replaced_by?.split('@')[0];
+
+        if (block) {
+            exclude(channel, 'blocklist', `blocklisted (${block.reason}${block.ref ? `, ${block.ref}` : ''})`);
+        } else if (successor) {
+            replacements[channel.id] = successor;
+            exclude(channel, 'replaced', `replaced by ${successor}`);
+        } else if (channel.closed && new Date(channel.closed) <= now) {
+            exclude(channel, 'closed', `closed on ${channel.closed}`);
+        }
+    });
+
+    const nsfw = getServedChannels(channels).filter(c => c.is_nsfw && !excluded.has(c.id)).length;
+    console.log(`🚫 Excluded ${counts.blocklist} blocklisted, ${counts.closed} closed and ${counts.replaced} replaced channels; ` +
+        `${nsfw} NSFW channels ${ALLOW_NSFW ? 'shown' : 'need an opt-in'}`);
+
+    return {
+        channels: channels.filter(c => !excluded.has(c.id)),
+        streams: streams.filter(s => !excluded.has(s.channel)),
+        replacements
+    };
+}
+
+// Follows replaced_by to the current channel (a few hops, replacements can chain)
+function resolveChannelId(channelId, replacements) {
+    for (let hops = 0; replacements[channelId] && hops < 5; hops++) {
+        channelId = replacements[channelId];
     }
+    return channelId;
+}
 
-    // Priority 3: Default iptv-org logo pattern
-    if (channel.id) {
-        return `https://iptv-org.github.io/logo/${channel.id}.png`;
+// Cached logos (from memory or the snapshot), the refresh scheduler keeps them up to date
+async function fetchLogos() {
+    if (!logosCache) {
+        const snapshot = readSnapshot('logos');
+        if (snapshot) {
+            logosCache = snapshot.logos;
+            logosLastFetch = snapshot.fetchedAt;
+        }
     }
 
-    // Fallback: Stremio default background
-    return 'https://dl.strem.io/addon-background-landscape.jpg';
+    return logosCache || refreshLogos();
 }
 
-async function toMeta(channel, baseUrl = '') {
-    const logoUrl = await getPoster(channel);
+function refreshLogos() {
+    if (!logosRefreshing) {
+        if (isCircuitOpen('logos')) {
+            return logosCache ? Promise.resolve(logosCache) : Promise.reject(circuitOpenError('logos'));
+        }
 
-    // Build description with available channel info
-    const descriptionParts = ['Romania'];
+        const start = Date.now();
+        logosRefreshing = axios.get(IPTV_LOGOS_URL, { timeout: UPSTREAM_TIMEOUT })
+            .then(res => {
+                recordRefresh('logos', start, true);
+                updateCircuit('logos', true);
+                logosCache = res.data;
+                logosLastFetch = Date.now();
+                writeSnapshot('logos', { fetchedAt: logosLastFetch, logos: logosCache });
+                return logosCache;
+            })
+            .catch(err => {
+                recordRefresh('logos', start, false);
+                updateCircuit('logos', false);
+                console.error('Logos refresh failed:', err.message);
+                if (!logosCache) throw err;
+                return logosCache;
+            })
+            .finally(() => {
+                logosRefreshing = null;
+            });
+    }
+    return logosRefreshing;
+}
 
-    // Add categories/genres
-    if (channel.categories && channel.categories.length > 0) {
-        descriptionParts.push(channel.categories.join(', '));
+/* ---------------- M3U PLAYLIST IMPORT ---------------- */
+// Read a text source from a URL or a local file (gzip is detected automatically)
+async function loadTextSource(source) {
+    let buffer;
+    if (/^https?:\/\//i.test(source)) {
+        const res = await axios.get(source, { responseType: 'arraybuffer', timeout: UPSTREAM_TIMEOUT });
+        buffer = Buffer.from(res.data);
+    } else {
+        buffer = await fs.promises.readFile(source);
     }
 
-    // Add network/broadcaster if available
-    if (channel.network) {
-        descriptionParts.push(`Network: ${channel.network}`);
+    // gzip magic bytes
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
     }
+    return buffer.toString('utf8');
+}
 
-    // Add language info
-    if (channel.languages && channel.languages.length > 0) {
-        descriptionParts.push(`Languages: ${channel.languages.join(', ')}`);
+// Split "#EXTINF:-1 tvg-id="x" group-title="a,b",Name" at the first comma outside quotes
+function parseExtinf(line) {
+    const info = line.slice('#EXTINF:'.length);
+    let inQuotes = false;
+    let commaIndex = -1;
+    for (let i = 0; i < info.length; i++) {
+        if (info[i] === '"') inQuotes = !inQuotes;
+        if (info[i] === ',' && !inQuotes) {
+            commaIndex = i;
+            break;
+        }
     }
 
-    // Use imgproxy-style URL to create landscape poster with logo centered on dark background
-    const landscapePoster = baseUrl
-        ? `${baseUrl}/poster-png/${encodeURIComponent(channel.id)}/${encodeURIComponent(logoUrl)}`
-        : logoUrl;
+    const attributesPart = commaIndex === -1 ? info : info.slice(0, commaIndex);
+    const attributes = {};
+    const attributeRegex = /([\w-]+)="([^"]*)"/g;
+    let match;
+    while ((match = attributeRegex.exec(attributesPart)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2].trim();
+    }
 
     return {
-        id: `rotv-${channel.id}`,
-        type: 'tv',
-        name: channel.name,
-        poster: landscapePoster,
-        posterShape: 'poster',
-        background: landscapePoster,
-        description: descriptionParts.join(' • ')
+        name: commaIndex === -1 ? '' : info.slice(commaIndex + 1).trim(),
+        attributes
     };
 }
 
-/* ---------------- MANIFEST ENDPOINT ---------------- */
-app.get('/manifest.json', async (req, res) => {
-    const { channels } = await getData();
+function parseM3u(text) {
+    const entries = [];
+    let current = null;
 
-    // Get all unique genres from Romanian channels
-    const allGenres = [...new Set(channels.flatMap(c => c.categories || []))].sort();
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
 
-    const baseUrl = `${req.protocol}://${req.headers.host}`;
+        if (line.startsWith('#EXTINF')) {
+            const { name, attributes } = parseExtinf(line);
+            current = {
+                name: name || attributes['tvg-name'] || '',
+                tvgId: attributes['tvg-id'] || null,
+                tvgCountry: attributes['tvg-country'] || null,
+                logo: attributes['tvg-logo'] || null,
+                groups: (attributes['group-title'] || '').split(';').map(g => g.trim()).filter(Boolean),
+                referrer: null,
+                userAgent: null
+            };
+        } else if (line.startsWith('#EXTVLCOPT:') && current) {
+            const [key, ...value] = line.slice('#EXTVLCOPT:'.length).split('=');
+            if (key === 'http-referrer') current.referrer = value.join('=');
+            if (key === 'http-user-agent') current.userAgent = value.join('=');
+        } else if (line.startsWith('#EXTGRP:') && current && !current.groups.length) {
+            current.groups = [line.slice('#EXTGRP:'.length).trim()];
+        } else if (!line.startsWith('#') && current) {
+            entries.push({ ...current, url: line });
+            current = null;
+        }
+    });
 
-    res.json({
-        id: 'org.romanian-tv',
-        name: 'Romanian TV',
-        version: '1.0.1',
-        description: 'Canale TV românești live',
-        logo: `${baseUrl}/logo.png`,
-        resources: ['catalog', 'meta', 'stream'],
-        types: ['tv'],
-        idPrefixes: ['rotv-'],
-        catalogs: [
-            {
-                type: 'tv',
-                id: 'rotv-all',
-                name: 'Romanian TV',
-                extra: [
-                    { name: 'search', isRequired: false },
-                    { name: 'genre', isRequired: false, options: allGenres },
-                    { name: 'skip', isRequired: false }
-                ]
-            }
-        ],
-        stremioAddonsConfig: {
-            issuer: "https://stremio-addons.net",
-            signature: "eyJhbGciOiJkaXIiLCJlbmMiOiJBMTI4Q0JDLUhTMjU2In0..Bv_G0RGi_DFiUZ-2wRvKNQ.Tt-cEjr_Xii3jek_G2Xv3rsiARKPNr62IvzEO29vsHHqdo3JtQ2JrGWAacJeXwELQRk1P6tzcTR--aDsOa-dCCHyC99nm0zuU5C3CfxBsQr3_woOsXu6N9aCTMo3jKbC.cd18-EjFIdJzqmKUImQwyQ"
+    return entries;
+}
+
+async function loadM3uSources() {
+    const results = await Promise.allSettled(M3U_SOURCES.map(loadTextSource));
+
+    return results.flatMap((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn('M3U source failed:', M3U_SOURCES[i], result.reason.message);
+            return [];
         }
+
+        const entries = parseM3u(result.value);
+        console.log(`📥 Imported ${entries.length} entries from ${M3U_SOURCES[i]}`);
+        return entries;
     });
-});
+}
 
-/* ---------------- CATALOG ENDPOINT ---------------- */
-app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
-    const params = Object.fromEntries(new URLSearchParams(req.params.extra || ''));
-    const { channels, streams } = await getData();
-    const skip = parseInt(params.skip) || 0;
-
-    // Filter channels that have available streams
-    let results = channels.filter(c => streams.some(s => s.channel === c.id));
-
-    //TODO: get only streams that have available endpoints
-    //for now, we exclude blocked channels
-    const EXCLUDED_CHANNELS = ['pro tv'];
-    results = results.filter(c =>
-        !EXCLUDED_CHANNELS.some(excluded =>
-            c.name.toLowerCase() === excluded.toLowerCase()
-        )
-    );
+function slugify(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
 
-    // Apply genre filter if provided
-    if (params.genre) {
-        results = results.filter(c => c.categories?.includes(params.genre));
+// Attach imported streams to iptv-org channels by tvg-id, unmatched entries become new channels
+function mergeM3uEntries(channels, streams, entries) {
+    if (!entries.length) {
+        return { channels, streams };
     }
 
-    // Apply search filter if provided
-    if (params.search) {
-        const q = params.search.toLowerCase();
-        results = results.filter(c => c.name.toLowerCase().includes(q));
-    }
+    const channelIds = new Set(channels.map(c => c.id));
+    const knownUrls = new Set(streams.map(s => s.url));
+    const importedChannels = new Map();
+    const importedStreams = [];
 
-    // Priority channel logic: show only priority channels on first load (skip=0, no filters)
-    if (skip === 0 && !params.search && !params.genre) {
-        // Show only priority channels
-        results = results.filter(c =>
-            PRIORITY_CHANNELS.some(priority =>
-                c.name.toLowerCase().includes(priority.toLowerCase())
-            )
-        );
-        // Sort priority channels in the order defined
-        results.sort((a, b) => {
-            const aIndex = PRIORITY_CHANNELS.findIndex(p => a.name.toLowerCase().includes(p.toLowerCase()));
-            const bIndex = PRIORITY_CHANNELS.findIndex(p => b.name.toLowerCase().includes(p.toLowerCase()));
-            return aIndex - bIndex;
+    entries.forEach(entry => {
+        // tvg-id may carry an iptv-org feed suffix ("Antena1.ro@SD")
+        const tvgId = (entry.tvgId || '').split('@')[0];
+        let channelId = channelIds.has(tvgId) ? tvgId : null;
+
+        if (!channelId) {
+            if (!entry.name) return;
+
+            channelId = tvgId || `m3u-${slugify(entry.name)}`;
+            if (!importedChannels.has(channelId)) {
+                const country = (entry.tvgCountry || '').toUpperCase();
+                importedChannels.set(channelId, {
+                    id: channelId,
+                    name: entry.name,
+                    country: /^[A-Z]{2}$/.test(country) ? country : COUNTRIES[0],
+                    categories: entry.groups.map(g => g.toLowerCase()),
+                    languages: [],
+                    logo: entry.logo
+                });
+            }
+        }
+
+        if (knownUrls.has(entry.url)) return;
+        knownUrls.add(entry.url);
+
+        const quality = /(\d{3,4})p\b/i.exec(entry.name);
+        importedStreams.push({
+            channel: channelId,
+            url: entry.url,
+            title: entry.name,
+            quality: quality ? `${quality[1]}p` : null,
+            referrer: entry.referrer,
+            user_agent: entry.userAgent
         });
-    } else if (skip > 0 && !params.search && !params.genre) {
-        // Show all OTHER channels (non-priority) when user clicks "See All"
-        results = results.filter(c =>
-            !PRIORITY_CHANNELS.some(priority =>
-                c.name.toLowerCase().includes(priority.toLowerCase())
-            )
-        );
-    }
+    });
 
-    // Transform channels to metas
-    const baseUrl = `${req.protocol}://${req.headers.host}`;
-    const metas = await Promise.all(results.map(channel => toMeta(channel, baseUrl)));
+    console.log(`📥 M3U import: ${importedStreams.length} streams, ${importedChannels.size} new channels`);
 
-    res.json({ metas });
-});
+    return {
+        channels: [...channels, ...importedChannels.values()],
+        streams: [...streams, ...importedStreams]
+    };
+}
 
-/* ---------------- META ENDPOINT ---------------- */
-app.get('/meta/:type/:id.json', async (req, res) => {
-    const channelId = req.params.id.replace('rotv-', '');
-    const { channels } = await getData();
+/* ---------------- EPG (XMLTV) ---------------- */
+async function fetchGuides() {
+    const res = await axios.get(IPTV_GUIDES_URL, { timeout: UPSTREAM_TIMEOUT });
+    return res.data;
+}
 
-    const channel = channels.find(c => c.id === channelId);
-    if (!channel) {
-        return res.json({ meta: {} });
-    }
+function decodeXmlEntities(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
 
-    const baseUrl = `${req.protocol}://${req.headers.host}`;
-    const meta = await toMeta(channel, baseUrl);
+// XMLTV dates look like "20240101203000 +0200" (offset is optional, UTC assumed)
+function parseXmltvDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/.exec(value || '');
+    if (!match) return null;
 
-    res.json({ meta });
-});
+    const [, y, mo, d, h, mi, sec = '00', offset = '+0000'] = match;
+    const utc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    const sign = offset[0] === '-' ? -1 : 1;
+    const offsetMinutes = sign * (parseInt(offset.slice(1, 3)) * 60 + parseInt(offset.slice(3, 5)));
+    return utc - offsetMinutes * 60 * 1000;
+}
 
-/* ---------------- STREAM ENDPOINT ---------------- */
-app.get('/stream/:type/:id.json', async (req, res) => {
-    const channelId = req.params.id.replace('rotv-', '');
-    const { streams } = await getData();
+function getXmlAttribute(attributes, name) {
+    const match = new RegExp(`${name}="([^"]*)"`).exec(attributes);
+    return match ? decodeXmlEntities(match[1]) : null;
+}
 
-    // Get ALL streams for this channel (HD, SD, different sources)
-    let channelStreams = streams.filter(s => s.channel === channelId);
+function getXmlElement(body, name) {
+    const match = new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`).exec(body);
+    return match ? decodeXmlEntities(match[1]) : null;
+}
 
-    if (channelStreams.length === 0) {
-        return res.json({ streams: [] });
+// Minimal XMLTV parser - only <channel> display names and <programme> title/desc are needed
+function parseXmltv(xml) {
+    const channels = [];
+    const programmes = [];
+
+    const channelRegex = /<channel\s([^>]*)>([\s\S]*?)<\/channel>/g;
+    let match;
+    while ((match = channelRegex.exec(xml)) !== null) {
+        const displayNames = [];
+        const nameRegex = /<display-name[^>]*>([\s\S]*?)<\/display-name>/g;
+        let nameMatch;
+        while ((nameMatch = nameRegex.exec(match[2])) !== null) {
+            displayNames.push(decodeXmlEntities(nameMatch[1]));
+        }
+        channels.push({ id: getXmlAttribute(match[1], 'id'), displayNames });
     }
 
-    // Use proxied URL to handle CORS issues
-    const baseUrl = `${req.protocol}://${req.headers.host}`;
+    const programmeRegex = /<programme\s([^>]*)>([\s\S]*?)<\/programme>/g;
+    while ((match = programmeRegex.exec(xml)) !== null) {
+        const start = parseXmltvDate(getXmlAttribute(match[1], 'start'));
+        const stop = parseXmltvDate(getXmlAttribute(match[1], 'stop'));
+        const title = getXmlElement(match[2], 'title');
+        if (!start || !title) continue;
 
-    // Return all available streams with descriptive titles
-    const streamObjects = channelStreams.map(stream => {
-        const proxiedUrl = `${baseUrl}/hls-proxy/${encodeURIComponent(stream.url)}`;
-        const title = stream.title || `${stream.feed || 'Live'} ${stream.quality || ''}`.trim();
+        programmes.push({
+            channel: getXmlAttribute(match[1], 'channel'),
+            start,
+            stop,
+            title,
+            desc: getXmlElement(match[2], 'desc')
+        });
+    }
 
-        return {
-            url: proxiedUrl,
-            title: title,
-            name: title // Some Stremio clients use 'name' instead of 'title'
-        };
+    return { channels, programmes };
+}
+
+async function fetchEpg() {
+    const channels = getServedChannels((await getData()).channels);
+    const channelIds = new Set(channels.map(c => c.id));
+
+    // Guides tell us which EPG sites cover our channels and under which names
+    const guides = (await fetchGuides()).filter(g => channelIds.has(g.channel));
+    const sites = [...new Set(guides.map(g => g.site))];
+
+    const sources = [...new Set(EPG_SOURCES.flatMap(source =>
+        source.includes('{site}') ? sites.map(site => source.replace('{site}', site)) : [source]
+    ))];
+
+    // Lookup tables to map XMLTV channel ids back to iptv-org channel ids
+    const byName = new Map();
+    channels.forEach(c => byName.set(c.name.toLowerCase(), c.id));
+    guides.forEach(g => {
+        if (g.site_name) byName.set(g.site_name.toLowerCase(), g.channel);
+        if (g.site_id) byName.set(g.site_id.toLowerCase(), g.channel);
     });
 
-    res.json({ streams: streamObjects });
-});
+    // Only keep programmes around "today" to bound memory usage
+    const now = Date.now();
+    const windowStart = now - 24 * 60 * 60 * 1000;
+    const windowEnd = now + 48 * 60 * 60 * 1000;
+
+    const programmesByChannel = new Map();
+    const results = await Promise.allSettled(sources.map(loadTextSource));
+
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn('EPG source failed:', sources[i], result.reason.message);
+            return;
+        }
+
+        const xmltv = parseXmltv(result.value);
+        const idMap = new Map();
+        xmltv.channels.forEach(c => {
+            // iptv-org/epg uses "<channelId>@<feed>" as the XMLTV id
+            const baseId = (c.id || '').split('@')[0];
+            const resolved = channelIds.has(baseId)
+                ? baseId
+                : [c.id, ...c.displayNames].map(n => byName.get((n || '').toLowerCase())).find(Boolean);
+            if (resolved) idMap.set(c.id, resolved);
+        });
+
+        xmltv.programmes.forEach(p => {
+            const baseId = (p.channel || '').split('@')[0];
+            const channelId = idMap.get(p.channel) || (channelIds.has(baseId) ? baseId : null);
+            if (!channelId) return;
+            if ((p.stop || p.start) < windowStart || p.start > windowEnd) return;
+
+            if (!programmesByChannel.has(channelId)) programmesByChannel.set(channelId, []);
+            programmesByChannel.get(channelId).push(p);
+        });
+    });
+
+    programmesByChannel.forEach((programmes, channelId) => {
+        programmes.sort((a, b) => a.start - b.start);
+
+        // Drop duplicates coming from multiple sources and fill in missing stop times
+        const unique = programmes.filter((p, i) => i === 0 || p.start !== programmes[i - 1].start);
+        unique.forEach((p, i) => {
+            if (!p.stop) p.stop = unique[i + 1] ? unique[i + 1].start : p.start + 60 * 60 * 1000;
+        });
+        programmesByChannel.set(channelId, unique);
+    });
+
+    console.log(`📺 EPG loaded for ${programmesByChannel.size} channels from ${sources.length} sources`);
+    return programmesByChannel;
+}
+
+async function getEpg() {
+    if (!epgCache) {
+        const snapshot = readSnapshot('epg');
+        if (snapshot) {
+            epgCache = new Map(snapshot.programmes);
+            epgLastFetch = snapshot.fetchedAt;
+        }
+    }
+
+    // Cached guide, the refresh scheduler keeps it up to date. Without a snapshot the
+    // guide is fetched in the background and requests go on without programme info.
+    if (!epgCache) {
+        refreshEpg();
+        return new Map();
+    }
+    return epgCache;
+}
+
+// Never rejects: without a guide the addon just has no programme info
+function refreshEpg() {
+    // Share a single in-flight fetch between concurrent requests
+    if (!epgFetching) {
+        if (isCircuitOpen('epg')) {
+            return Promise.resolve(epgCache || new Map());
+        }
+
+        const start = Date.now();
+        epgFetching = fetchEpg()
+            .then(programmes => {
+                recordRefresh('epg', start, true);
+                updateCircuit('epg', true);
+                epgCache = programmes;
+                epgLastFetch = Date.now();
+                writeSnapshot('epg', { fetchedAt: epgLastFetch, programmes: [...epgCache] });
+                return epgCache;
+            })
+            .catch(err => {
+                recordRefresh('epg', start, false);
+                updateCircuit('epg', false);
+                console.error('EPG fetch failed:', err.message);
+                return epgCache || new Map();
+            })
+            .finally(() => {
+                epgFetching = null;
+            });
+    }
+
+    return epgFetching;
+}
+
+function formatEpgTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('ro-RO', {
+        timeZone: EPG_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function formatEpgDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: EPG_TIMEZONE });
+}
+
+// Current and next programme for a channel
+async function getNowNext(channelId) {
+    const programmes = (await getEpg()).get(channelId) || [];
+    const now = Date.now();
+    const index = programmes.findIndex(p => p.start <= now && now < p.stop);
+
+    if (index === -1) {
+        return { now: null, next: programmes.find(p => p.start > now) || null };
+    }
+    return { now: programmes[index], next: programmes[index + 1] || null };
+}
+
+// Today's full schedule (local time) for a channel, including a show still running from yesterday
+async function getDaySchedule(channelId) {
+    const programmes = (await getEpg()).get(channelId) || [];
+    const now = Date.now();
+    const today = formatEpgDate(now);
+
+    return programmes.filter(p =>
+        formatEpgDate(p.start) === today || (p.start <= now && now < p.stop)
+    );
+}
+
+/* ---------------- STREAM HEALTH CHECKER ---------------- */
+function isErrorPageUrl(url) {
+    const hostname = new URL(url).hostname;
+    return ERROR_DOMAINS.some(domain => hostname.includes(domain));
+}
+
+function isHtmlPage(text) {
+    const start = text.trim().toLowerCase();
+    return start.startsWith('<!doctype') || start.startsWith('<html');
+}
+
+// Streams that were never probed are assumed to work
+function isStreamAlive(url) {
+    const status = streamHealth.get(url);
+    return !status || status.ok;
+}
+
+// requestOptions: SAFE_REQUEST_OPTIONS when the playlist is sent on to a client
+async function fetchPlaylistText(url, headers, timeout = HEALTH_CHECK_TIMEOUT, requestOptions = {}) {
+    const response = await axios.get(url, {
+        ...requestOptions,
+        responseType: 'text',
+        transformResponse: data => data,
+        maxRedirects: 5,
+        maxContentLength: 2 * 1024 * 1024,
+        timeout,
+        headers
+    });
+
+    const finalUrl = response.request.res.responseUrl || url;
+    if (isErrorPageUrl(finalUrl)) {
+        throw new Error(`Redirected to error page ${finalUrl}`);
+    }
+
+    const text = response.data || '';
+    if (!text.includes('#EXTM3U')) {
+        throw new Error(isHtmlPage(text) ? 'Playlist is an HTML error page' : 'Missing #EXTM3U header');
+    }
+
+    return { text, finalUrl };
+}
+
+// Absolute URIs in a playlist (variants in a master playlist, segments in a media playlist)
+function getPlaylistUris(text, baseUrl) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => new URL(line, baseUrl).href);
+}
+
+// Fetch the playlist, follow the variant playlist and check that a segment loads
+async function probeStream(stream) {
+    const started = Date.now();
+    const headers = getStreamHeaders(stream);
+
+    try {
+        let playlist = await fetchPlaylistText(stream.url, headers);
+
+        // Master playlist: follow the first variant down to a media playlist
+        for (let depth = 0; playlist.text.includes('#EXT-X-STREAM-INF') && depth < 3; depth++) {
+            const [variantUrl] = getPlaylistUris(playlist.text, playlist.finalUrl);
+            if (!variantUrl) throw new Error('Master playlist has no variants');
+            playlist = await fetchPlaylistText(variantUrl, headers);
+        }
+
+        // Use the newest segment, older ones may already be gone on live streams
+        const segments = getPlaylistUris(playlist.text, playlist.finalUrl);
+        if (!segments.length) throw new Error('Media playlist has no segments');
+
+        const segment = await axios.get(segments[segments.length - 1], {
+            responseType: 'stream',
+            maxRedirects: 5,
+            timeout: HEALTH_CHECK_TIMEOUT,
+            headers: {
+                ...headers,
+                'Range': 'bytes=0-1023'
+            }
+        });
+        segment.data.destroy();
+
+        return { ok: true, latency: Date.now() - started, lastChecked: Date.now() };
+    } catch (err) {
+        return {
+            ok: false,
+            latency: Date.now() - started,
+            lastChecked: Date.now(),
+            error: err.response ? `HTTP ${err.response.status}` : err.message
+        };
+    }
+}
+
+async function checkStreamHealth() {
+    if (healthCheckRunning) return;
+    healthCheckRunning = true;
+
+    try {
+        const { channels, streams } = await getData();
+        const channelIds = new Set(getServedChannels(channels).map(c => c.id));
+        // One probe per URL, keeping the stream for its request headers
+        const byUrl = new Map();
+        streams.filter(s => channelIds.has(s.channel)).forEach(s => byUrl.set(s.url, s));
+        const queue = [...byUrl.values()];
+        const total = queue.length;
+
+        console.log(`🩺 Checking health of ${total} streams...`);
+
+        // Simple worker pool to limit concurrent probes
+        let alive = 0;
+        const workers = Array.from({ length: HEALTH_CHECK_CONCURRENCY }, async () => {
+            while (queue.length) {
+                const stream = queue.shift();
+                const health = await probeStream(stream);
+                streamHealth.set(stream.url, health);
+                if (health.ok) alive++;
+            }
+        });
+        await Promise.all(workers);
+
+        // Forget URLs that are no longer in streams.json
+        streamHealth.forEach((health, url) => {
+            if (!byUrl.has(url)) streamHealth.delete(url);
+        });
+
+        console.log(`🩺 Stream health check done: ${alive}/${total} streams working`);
+    } catch (err) {
+        console.error('Stream health check failed:', err.message);
+    } finally {
+        healthCheckRunning = false;
+    }
+}
+
+/* ---------------- MASTER PLAYLIST VARIANTS ---------------- */
+// Attribute list of an #EXT-X-STREAM-INF tag (CODECS is quoted and contains commas)
+function parseAttributeList(text) {
+    const attributes = {};
+    const attributeRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = attributeRegex.exec(text)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+function parseMasterPlaylist(text, baseUrl) {
+    const variants = [];
+    const lines = text.split('\n').map(line => line.trim());
+
+    lines.forEach((line, i) => {
+        if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+
+        // The variant URI is the next non-comment line
+        const uri = lines.slice(i + 1).find(l => l && !l.startsWith('#'));
+        if (!uri) return;
+
+        const attributes = parseAttributeList(line.slice('#EXT-X-STREAM-INF:'.length));
+        const [width, height] = (attributes.RESOLUTION || '').split('x').map(n => parseInt(n) || null);
+
+        variants.push({
+            url: new URL(uri, baseUrl).href,
+            bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH) || null,
+            width: width || null,
+            height: height || null,
+            codecs: attributes.CODECS || null
+        });
+    });
+
+    return variants;
+}
+
+// Variants of a stream's master playlist (empty for media playlists or unreachable streams)
+async function getStreamVariants(stream) {
+    const cached = variantsCache.get(stream.url);
+    if (cached && Date.now() - cached.timestamp < VARIANTS_TTL) {
+        return cached.variants;
+    }
+
+    let variants = [];
+    try {
+        const playlist = await fetchPlaylistText(stream.url, getStreamHeaders(stream));
+        if (playlist.text.includes('#EXT-X-STREAM-INF')) {
+            variants = parseMasterPlaylist(playlist.text, playlist.finalUrl);
+        }
+    } catch (err) {
+        console.warn('Failed to read master playlist:', stream.url, err.message);
+    }
+
+    variantsCache.set(stream.url, { variants, timestamp: Date.now() });
+    return variants;
+}
+
+// One stream per variant (same headers as the master), or the stream itself
+async function expandStreamVariants(stream) {
+    const variants = await getStreamVariants(stream);
+    if (!variants.length) {
+        return [stream];
+    }
+
+    return variants.map(variant => ({
+        ...stream,
+        url: variant.url,
+        sourceUrl: stream.sourceUrl || stream.url,
+        quality: variant.height ? `${variant.height}p` : stream.quality,
+        bandwidth: variant.bandwidth,
+        codecs: variant.codecs,
+        isVariant: true
+    }));
+}
+
+// Highest resolution first, then highest bitrate
+function sortStreamsBestFirst(streams) {
+    return [...streams].sort((a, b) =>
+        (parseInt(b.quality) || 0) - (parseInt(a.quality) || 0) ||
+        (b.bandwidth || 0) - (a.bandwidth || 0)
+    );
+}
+
+// "1080p • 5.2 Mbps"
+function getVariantTitle(stream) {
+    return [
+        stream.quality,
+        stream.bandwidth && `${(stream.bandwidth / 1000000).toFixed(1)} Mbps`
+    ].filter(Boolean).join(' • ');
+}
+
+/* ---------------- PROXY SECURITY ---------------- */
+// /hls-proxy and /poster-png only serve URLs the addon handed out itself: the URL is
+// wrapped in an HMAC-signed token, so clients can't make the server fetch anything else.
+// The secret comes from PROXY_SECRET or is generated once and kept in DATA_DIR, so
+// tokens in Stremio's cached metas stay valid across restarts.
+function loadProxySecret() {
+    if (process.env.PROXY_SECRET) {
+        return process.env.PROXY_SECRET;
+    }
+
+    const file = path.join(DATA_DIR, 'proxy-secret');
+    try {
+        return fs.readFileSync(file, 'utf8').trim();
+    } catch (err) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        try {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            fs.writeFileSync(file, secret, { mode: 0o600 });
+        } catch (writeErr) {
+            console.warn('Failed to persist proxy secret, tokens will change on restart:', writeErr.message);
+        }
+        return secret;
+    }
+}
+
+const PROXY_SECRET = loadProxySecret();
+
+function signPayload(data) {
+    return crypto.createHmac('sha256', PROXY_SECRET).update(data).digest('base64url').slice(0, 32);
+}
+
+function signToken(payload) {
+    const data = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    return `${data}.${signPayload(data)}`;
+}
+
+// Returns the payload of a valid token, null otherwise
+function verifyToken(token) {
+    const [data, signature] = String(token || '').split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(signPayload(data));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const privateAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 ("::ffff:127.0.0.1")
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) address = mapped[1];
+
+    return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(address) {
+    const error = new Error(`Refusing to connect to private address ${address}`);
+    error.code = 'EPRIVATEADDRESS';
+    return error;
+}
+
+// Hostnames are checked after DNS resolution (see safeLookup), IP literals skip DNS so
+// they are checked here, for the requested URL and every redirect
+function assertPublicHost(hostname) {
+    const host = String(hostname || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw privateAddressError(host);
+    }
+}
+
+function assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw Object.assign(new Error(`Unsupported protocol ${protocol}`), { code: 'EPRIVATEADDRESS' });
+    }
+    if (!PROXY_ALLOW_PRIVATE) {
+        assertPublicHost(hostname);
+    }
+}
+
+// dns.lookup that refuses to resolve to private addresses (checked on every connection,
+// so DNS rebinding between check and connect doesn't help)
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        if (blocked) return callback(privateAddressError(blocked.address));
+
+        options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// axios options for fetching URLs on behalf of clients. Their own agents: the default ones keep
+// sockets alive, and a socket opened by the stream prober would be reused without a lookup.
+const SAFE_REQUEST_OPTIONS = PROXY_ALLOW_PRIVATE ? {} : {
+    lookup: safeLookup,
+    httpAgent: new http.Agent({ keepAlive: true, lookup: safeLookup }),
+    httpsAgent: new https.Agent({ keepAlive: true, lookup: safeLookup }),
+    beforeRedirect: options => assertPublicHost(options.hostname)
+};
+
+/* ---------------- METRICS ---------------- */
+const startedAt = Date.now();
+
+const metrics = {
+    requests: new Map(), // "route|status" -> count
+    durations: new Map(), // route -> { buckets, sum, count }
+    proxyErrors: new Map(), // error code -> count
+    routeErrors: new Map(), // route -> unhandled errors
+    rejections: new Map(), // "route|reason" -> requests refused by the token check or rate limits
+    posterCache: { hit: 0, disk: 0, miss: 0 },
+    segmentCache: { hit: 0, shared: 0, miss: 0 },
+    refreshes: new Map(), // "source|result" -> count
+    refreshDurations: new Map() // source -> seconds of the last refresh
+};
+
+// Request latency histogram buckets (seconds)
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// First path segment (or second, after a config prefix) -> route label
+const ROUTE_LABELS = {
+    'manifest.json': 'manifest',
+    'catalog': 'catalog',
+    'meta': 'meta',
+    'stream': 'stream',
+    'hls-proxy': 'hls-proxy',
+    'poster-png': 'poster-png',
+    'play': 'play',
+    'playlist.m3u': 'playlist',
+    'epg.xml': 'epg',
+    'configure': 'configure',
+    'admin': 'admin',
+    'health': 'health',
+    'metrics': 'metrics'
+};
+
+function getRouteLabel(urlPath) {
+    if (urlPath === '/') return 'landing';
+
+    const [first, second] = urlPath.split('/').filter(Boolean);
+    return ROUTE_LABELS[first] || ROUTE_LABELS[second] || 'other';
+}
+
+function incrementCounter(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function trackRequestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const route = getRouteLabel(req.path);
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+        incrementCounter(metrics.requests, `${route}|${res.statusCode}`);
+
+        if (!metrics.durations.has(route)) {
+            metrics.durations.set(route, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+        }
+        const histogram = metrics.durations.get(route);
+        DURATION_BUCKETS.forEach((le, i) => {
+            if (seconds <= le) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    });
+
+    next();
+}
+
+function recordProxyError(code) {
+    incrementCounter(metrics.proxyErrors, code || 'UNKNOWN');
+}
+
+function recordRefresh(source, start, ok) {
+    incrementCounter(metrics.refreshes, `${source}|${ok ? 'success' : 'failure'}`);
+    metrics.refreshDurations.set(source, (Date.now() - start) / 1000);
+}
+
+// Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    const labels = obj => '{' + Object.entries(obj).map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, '_')}"`).join(',') + '}';
+
+    metric('rotv_http_requests_total', 'counter', 'HTTP requests by route and status code');
+    metrics.requests.forEach((count, key) => {
+        const [route, status] = key.split('|');
+        lines.push(`rotv_http_requests_total${labels({ route, status })} ${count}`);
+    });
+
+    metric('rotv_http_request_duration_seconds', 'histogram', 'HTTP request latency by route');
+    metrics.durations.forEach((histogram, route) => {
+        DURATION_BUCKETS.forEach((le, i) => {
+            lines.push(`rotv_http_request_duration_seconds_bucket${labels({ route, le })} ${histogram.buckets[i]}`);
+        });
+        lines.push(`rotv_http_request_duration_seconds_bucket${labels({ route, le: '+Inf' })} ${histogram.count}`);
+        lines.push(`rotv_http_request_duration_seconds_sum${labels({ route })} ${histogram.sum}`);
+        lines.push(`rotv_http_request_duration_seconds_count${labels({ route })} ${histogram.count}`);
+    });
+
+    metric('rotv_proxy_errors_total', 'counter', 'HLS proxy errors by error code');
+    metrics.proxyErrors.forEach((count, code) => {
+        lines.push(`rotv_proxy_errors_total${labels({ code })} ${count}`);
+    });
+
+    metric('rotv_route_errors_total', 'counter', 'Unhandled route errors answered by the error handler');
+    metrics.routeErrors.forEach((count, route) => {
+        lines.push(`rotv_route_errors_total${labels({ route })} ${count}`);
+    });
+
+    metric('rotv_rejected_requests_total', 'counter', 'Requests refused by the access token check or rate limits');
+    metrics.rejections.forEach((count, key) => {
+        const [route, reason] = key.split('|');
+        lines.push(`rotv_rejected_requests_total${labels({ route, reason })} ${count}`);
+    });
+
+    metric('rotv_poster_cache_requests_total', 'counter', 'Poster cache lookups by result');
+    lines.push(`rotv_poster_cache_requests_total${labels({ result: 'hit' })} ${metrics.posterCache.hit}`);
+    lines.push(`rotv_poster_cache_requests_total${labels({ result: 'disk' })} ${metrics.posterCache.disk}`);
+    lines.push(`rotv_poster_cache_requests_total${labels({ result: 'miss' })} ${metrics.posterCache.miss}`);
+
+    metric('rotv_poster_cache_entries', 'gauge', 'Posters held in memory');
+    lines.push(`rotv_poster_cache_entries ${posterCache.size}`);
+
+    metric('rotv_segment_cache_requests_total', 'counter', 'Relayed segment requests by result (shared = joined an in-flight fetch)');
+    ['hit', 'shared', 'miss'].forEach(result => {
+        lines.push(`rotv_segment_cache_requests_total${labels({ result })} ${metrics.segmentCache[result]}`);
+    });
+
+    metric('rotv_segment_cache_bytes', 'gauge', 'Bytes of relayed segments held in memory');
+    lines.push(`rotv_segment_cache_bytes ${segmentCacheBytes}`);
+
+    metric('rotv_data_refresh_total', 'counter', 'Upstream data refreshes by source and result');
+    metrics.refreshes.forEach((count, key) => {
+        const [source, result] = key.split('|');
+        lines.push(`rotv_data_refresh_total${labels({ source, result })} ${count}`);
+    });
+
+    metric('rotv_data_refresh_duration_seconds', 'gauge', 'Duration of the last upstream data refresh');
+    metrics.refreshDurations.forEach((seconds, source) => {
+        lines.push(`rotv_data_refresh_duration_seconds${labels({ source })} ${seconds}`);
+    });
+
+    metric('rotv_data_age_seconds', 'gauge', 'Age of the cached upstream data');
+    getDataAges().forEach(([source, age]) => {
+        if (age !== null) lines.push(`rotv_data_age_seconds${labels({ source })} ${age}`);
+    });
+
+    metric('rotv_circuit_open', 'gauge', 'Upstream sources currently skipped after repeated refresh failures');
+    ['data', 'logos', 'epg'].forEach(source => {
+        lines.push(`rotv_circuit_open${labels({ source })} ${isCircuitOpen(source) ? 1 : 0}`);
+    });
+
+    metric('rotv_streams', 'gauge', 'Checked streams by health state');
+    const healthStates = [...streamHealth.values()];
+    lines.push(`rotv_streams${labels({ state: 'ok' })} ${healthStates.filter(h => h.ok).length}`);
+    lines.push(`rotv_streams${labels({ state: 'dead' })} ${healthStates.filter(h => !h.ok).length}`);
+
+    metric('rotv_uptime_seconds', 'gauge', 'Seconds since the addon started');
+    lines.push(`rotv_uptime_seconds ${(Date.now() - startedAt) / 1000}`);
+
+    return lines.join('\n') + '\n';
+}
+
+// source -> { open, failures, retryInSeconds }
+function getCircuitStates() {
+    return Object.fromEntries(['data', 'logos', 'epg'].map(source => {
+        const circuit = circuits.get(source) || { failures: 0, openUntil: 0 };
+        const open = isCircuitOpen(source);
+        return [source, {
+            open,
+            failures: circuit.failures,
+            retryInSeconds: open ? Math.ceil((circuit.openUntil - Date.now()) / 1000) : 0
+        }];
+    }));
+}
+
+// [source, age in seconds or null when never loaded]
+function getDataAges() {
+    const age = timestamp => timestamp ? (Date.now() - timestamp) / 1000 : null;
+    return [
+        ['data', age(cache.channels && lastFetch)],
+        ['logos', age(logosCache && logosLastFetch)],
+        ['epg', age(epgCache && epgLastFetch)]
+    ];
+}
+
+/* ---------------- LOCALES ---------------- */
+const displayNames = Object.fromEntries(LOCALES.map(locale => [locale, {
+    language: new Intl.DisplayNames([locale], { type: 'language' }),
+    region: new Intl.DisplayNames([locale], { type: 'region' })
+}]));
+
+function getLanguageName(code, locale = DEFAULT_LOCALE) {
+    try {
+        return displayNames[locale].language.of(code);
+    } catch (err) {
+        return code;
+    }
+}
+
+function getCountryName(country, locale = DEFAULT_LOCALE) {
+    try {
+        return displayNames[locale].region.of(country);
+    } catch (err) {
+        return country;
+    }
+}
+
+function getGenreLabel(genre, locale = DEFAULT_LOCALE) {
+    return GENRE_LABELS[locale][genre] || genre.charAt(0).toUpperCase() + genre.slice(1);
+}
+
+// The manifest offers genre labels, so Stremio sends a label back. Installs from before
+// the labels were translated still send the iptv-org category id.
+function getGenreId(label, locale = DEFAULT_LOCALE) {
+    const labels = GENRE_LABELS[locale];
+    return Object.keys(labels).find(genre => labels[genre] === label) || label.toLowerCase();
+}
+
+/* ---------------- FEEDS ---------------- */
+// feeds.json: every channel has one or more feeds (main, regional, other languages),
+// streams point at one with stream.feed
+// broadcast_area entries are "c/<country>", "r/<region>", "s/<subdivision>" or "ct/<city>"
+function getAreaName(area, locale = DEFAULT_LOCALE) {
+    const [type, code] = String(area).split('/');
+    return type === 'c' ? getCountryName(code, locale) : code || area;
+}
+
+const feedIndexes = new WeakMap(); // feeds array -> Map of "channel@feed" -> feed
+
+function getFeed(feeds, stream) {
+    if (!feeds || !stream.feed) return null;
+
+    let index = feedIndexes.get(feeds);
+    if (!index) {
+        index = new Map(feeds.map(feed => [`${feed.channel}@${feed.id}`, feed]));
+        feedIndexes.set(feeds, index);
+    }
+    return index.get(`${stream.channel}@${stream.feed}`) || null;
+}
+
+// "SD • Romanian • Romania", null when the stream has no known feed
+function getFeedLabel(feed, locale = DEFAULT_LOCALE) {
+    if (!feed) return null;
+
+    const parts = [feed.name || feed.id];
+    const languages = (feed.languages || []).map(l => getLanguageName(l, locale));
+    if (languages.length) {
+        parts.push(languages.join(', '));
+    }
+    const areas = (feed.broadcast_area || []).map(a => getAreaName(a, locale));
+    if (areas.length) {
+        parts.push(areas.length > 2 ? `${areas.slice(0, 2).join(', ')}…` : areas.join(', '));
+    }
+    return parts.join(' • ');
+}
+
+// Streams without a feed are in the channel's languages
+function getStreamLanguages(stream, feeds, channel) {
+    return getFeed(feeds, stream)?.languages || channel?.languages || [];
+}
+
+// Drops streams outside the user's languages, unless that would leave the channel without
+// streams (it's still listed in the catalog, another language beats nothing), then groups
+// the streams by feed: main feed first, other feeds in the order of their best stream
+function orderStreamsByFeed(streams, feeds, channel, config) {
+    let results = streams;
+    if (config.languages.length) {
+        const matching = streams.filter(s =>
+            getStreamLanguages(s, feeds, channel).some(l => config.languages.includes(l))
+        );
+        if (matching.length) results = matching;
+    }
+
+    // Streams without a feed count as the main feed
+    const groupOf = stream => {
+        const feed = getFeed(feeds, stream);
+        return !stream.feed || feed?.is_main ? '' : stream.feed;
+    };
+    const groupOrder = new Map([['', -1]]);
+    results.forEach(s => {
+        if (!groupOrder.has(groupOf(s))) groupOrder.set(groupOf(s), groupOrder.size);
+    });
+
+    return [...results].sort((a, b) => groupOrder.get(groupOf(a)) - groupOrder.get(groupOf(b)));
+}
+
+/* ---------------- SEARCH ---------------- */
+// Lowercase, without diacritics (ș/ş, ț/ţ, ă, â, î) and punctuation: "Știri+" -> "stiri"
+function foldText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function toSearchTerm(text) {
+    const folded = foldText(text);
+    return {
+        words: folded.split(' ').filter(Boolean),
+        compact: folded.replace(/ /g, '') // "Pro TV" -> "protv"
+    };
+}
+
+// Searchable fields per channel with their weight, built once per channel list (every
+// data refresh or /admin change produces a new list)
+const searchIndexes = new WeakMap(); // channels array -> Map of channel id -> fields
+
+function getSearchIndex(channels) {
+    let index = searchIndexes.get(channels);
+    if (!index) {
+        index = new Map(getServedChannels(channels).map(c => [c.id, [
+            { ...toSearchTerm(c.name), weight: 1 },
+            ...(c.alt_names || []).map(name => ({ ...toSearchTerm(name), weight: 0.9 })),
+            ...(c.network ? [{ ...toSearchTerm(c.network), weight: 0.6 }] : []),
+            ...(c.owners || []).map(owner => ({ ...toSearchTerm(owner), weight: 0.5 }))
+        ].filter(field => field.compact)]));
+        searchIndexes.set(channels, index);
+    }
+    return index;
+}
+
+// Optimal string alignment distance (a swap of two letters counts as one typo).
+// Gives up with max + 1 as soon as the distance can't stay within max.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+// Typos allowed in a word of this length
+function allowedTypos(word) {
+    if (word.length <= 3) return 0;
+    return word.length <= 6 ? 1 : 2;
+}
+
+// Distance to the closest word, also against word beginnings so half-typed words match
+function closestWord(token, words) {
+    const max = allowedTypos(token);
+    return Math.min(...words.map(word => Math.min(
+        editDistance(token, word, max),
+        editDistance(token, word.slice(0, token.length), max)
+    )));
+}
+
+// 0 = no match. Exact > prefix > every word starts a field word > substring > typos.
+function scoreField(field, query) {
+    if (field.compact === query.compact) return 100;
+    if (field.compact.startsWith(query.compact)) return 90;
+    if (query.words.every(token => field.words.some(word => word.startsWith(token)))) return 80;
+    if (field.compact.includes(query.compact)) return 70;
+
+    // Whole query against the start of the field ("protb" -> "Pro TV"), then word by word
+    const max = allowedTypos(query.compact);
+    const compactDistance = editDistance(query.compact, field.compact.slice(0, query.compact.length), max);
+    if (compactDistance <= max) return 60 - 10 * compactDistance;
+
+    let distance = 0;
+    for (const token of query.words) {
+        const best = closestWord(token, field.words);
+        if (best > allowedTypos(token)) return 0;
+        distance += best;
+    }
+    return 60 - 10 * distance;
+}
+
+// Channels matching the search, most relevant first. Equally relevant channels keep
+// their order (priority channels first).
+function searchChannels(channels, search, allChannels) {
+    const query = toSearchTerm(search);
+    if (!query.compact) return channels;
+
+    const index = getSearchIndex(allChannels);
+    const scores = new Map(channels.map(c => {
+        const fields = index.get(c.id) || [toSearchTerm(c.name)].map(field => ({ ...field, weight: 1 }));
+        return [c.id, Math.max(0, ...fields.map(field => scoreField(field, query) * field.weight))];
+    }));
+
+    return channels
+        .filter(c => scores.get(c.id) > 0)
+        .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+}
+
+/* ---------------- ACCESS TOKENS & RATE LIMITS ---------------- */
+// ACCESS_TOKENS_FILE: { "<token>": { "name": "Living room", "revoked": false } }
+let accessTokens = null; // Map of token -> { name, revoked }, null while installs are open
+
+function loadAccessTokens() {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(ACCESS_TOKENS_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            if (accessTokens) console.log('🔓 Access tokens file removed, installs are open');
+            accessTokens = null;
+        } else {
+            // A broken edit keeps the previous tokens (or none) instead of opening the instance
+            console.error(`Failed to read ${ACCESS_TOKENS_FILE}:`, err.message);
+            accessTokens = accessTokens || new Map();
+        }
+        return;
+    }
+
+    accessTokens = new Map();
+    Object.entries(raw && typeof raw === 'object' ? raw : {}).forEach(([token, entry]) => {
+        if (!ACCESS_TOKEN_PATTERN.test(token)) {
+            console.warn(`Ignoring access token "${token.slice(0, 4)}…": use 16-128 letters, digits, - or _`);
+            return;
+        }
+        accessTokens.set(token, { name: String(entry?.name || token.slice(0, 4)), revoked: Boolean(entry?.revoked) });
+    });
+
+    const active = [...accessTokens.values()].filter(t => !t.revoked).length;
+    console.log(`🔐 Private instance: ${active} access tokens active, ${accessTokens.size - active} revoked`);
+}
+
+loadAccessTokens();
+
+function recordRejection(req, reason) {
+    incrementCounter(metrics.rejections, `${getRouteLabel(req.path)}|${reason}`);
+}
+
+// Install URLs of private instances start with /t/<token>. The prefix is taken off here so
+// the routes match as usual, and getBaseUrl puts it back into every URL they hand out.
+function resolveAccessToken(req, res, next) {
+    const match = req.url.match(/^\/t\/([^/?]+)(.*)$/);
+    if (match) {
+        req.accessToken = match[1];
+        req.basePath = `/t/${match[1]}`;
+        req.url = match[2].startsWith('/') ? match[2] : `/${match[2]}`;
+    }
+    next();
+}
+
+// Health checks stay public, /admin has its own password. Exact paths only: the /:config/...
+// routes take any first segment, so "/admin/manifest.json" is an install URL like any other.
+const PUBLIC_PATHS = new Set(['/health', '/metrics', '/admin', '/admin/overrides', '/admin/refresh']);
+
+function requireAccessToken(req, res, next) {
+    // Express routing ignores case and a trailing slash, so the check does too
+    if (!accessTokens || PUBLIC_PATHS.has(req.path.toLowerCase().replace(/\/+$/, ''))) {
+        return next();
+    }
+
+    const entry = req.accessToken ? accessTokens.get(req.accessToken) : null;
+    if (!entry) {
+        recordRejection(req, req.accessToken ? 'token_invalid' : 'token_missing');
+        return res.status(401).json({ error: 'This is a private instance, install it with your access link' });
+    }
+    if (entry.revoked) {
+        recordRejection(req, 'token_revoked');
+        return res.status(403).json({ error: 'Access token revoked' });
+    }
+
+    next();
+}
+
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.headers.host}${req.basePath || ''}`;
+}
+
+// Per client: install token when it's a valid one, otherwise the IP address
+function getClientKey(req) {
+    return accessTokens?.has(req.accessToken) ? `token:${req.accessToken}` : `ip:${req.ip}`;
+}
+
+// Fixed one-minute windows plus a count of requests in flight, per client.
+// Answers 429 with Retry-After when either limit is reached.
+function rateLimit(route) {
+    const { perMinute, concurrent } = RATE_LIMITS[route];
+    const clients = new Map(); // client key -> { windowStart, count, active }
+    let lastSweep = Date.now();
+
+    return (req, res, next) => {
+        const now = Date.now();
+
+        // Forget clients that are idle and whose window is over
+        if (now - lastSweep >= 60 * 1000) {
+            clients.forEach((client, key) => {
+                if (!client.active && now - client.windowStart >= 60 * 1000) clients.delete(key);
+            });
+            lastSweep = now;
+        }
+
+        const key = getClientKey(req);
+        let client = clients.get(key);
+        if (!client) {
+            client = { windowStart: now, count: 0, active: 0 };
+            clients.set(key, client);
+        } else if (now - client.windowStart >= 60 * 1000) {
+            client.windowStart = now;
+            client.count = 0;
+        }
+
+        if (perMinute > 0 && client.count >= perMinute) {
+            recordRejection(req, 'rate');
+            res.setHeader('Retry-After', Math.ceil((client.windowStart + 60 * 1000 - now) / 1000));
+            return res.status(429).json({ error: 'Too many requests', limit: `${perMinute} per minute` });
+        }
+        if (concurrent > 0 && client.active >= concurrent) {
+            recordRejection(req, 'concurrency');
+            res.setHeader('Retry-After', 1);
+            return res.status(429).json({ error: 'Too many requests', limit: `${concurrent} at a time` });
+        }
+
+        client.count++;
+        client.active++;
+        res.once('close', () => {
+            client.active--;
+        });
+
+        next();
+    };
+}
+
+/* ---------------- HELPER FUNCTIONS ---------------- */
+// Channels of all countries served by this instance
+function getServedChannels(channels) {
+    return channels.filter(c => COUNTRIES.includes(c.country));
+}
+
+// Catalog ids are "rotv-country-<code>", "rotv-genre-<category>" and "rotv-network-<slug>".
+// iptv-org channel ids are globally unique ("Antena1.ro", "JurnalTV.md"), so meta ids stay
+// "rotv-<channel id>" for every catalog.
+function countryRow(country, locale = DEFAULT_LOCALE) {
+    const countryName = getCountryName(country, locale);
+    return {
+        type: 'country',
+        value: country,
+        id: `rotv-country-${country.toLowerCase()}`,
+        name: COUNTRY_CATALOG_NAMES[locale][country] || (locale === 'ro' ? `TV ${countryName}` : `${countryName} TV`)
+    };
+}
+
+function genreRow(genre, locale = DEFAULT_LOCALE) {
+    return {
+        type: 'genre',
+        value: genre,
+        id: `rotv-genre-${genre}`,
+        name: getGenreLabel(genre, locale)
+    };
+}
+
+function networkRow(network) {
+    return {
+        type: 'network',
+        value: network,
+        id: `rotv-network-${slugify(network)}`,
+        name: network
+    };
+}
+
+// Distinct values, most frequent first
+function countValues(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+// Home board rows for the user's countries, following the CATALOG_ROWS (or user) order
+function getCatalogRows(channelsByCountry, config) {
+    const countries = getUserCountries(config);
+    const userChannels = countries.flatMap(c => channelsByCountry.get(c) || []).filter(c => config.nsfw || !c.is_nsfw);
+
+    const genres = countValues(userChannels.flatMap(c => c.categories || []))
+        .map(([genre]) => genre)
+        .filter(g => !config.genres.length || config.genres.includes(g));
+    const networkCounts = countValues(userChannels.map(c => c.network).filter(Boolean));
+
+    const rows = [];
+    const add = row => {
+        if (!rows.some(r => r.id === row.id)) rows.push(row);
+    };
+
+    (config.rows.length ? config.rows : CATALOG_ROWS).forEach(spec => {
+        const [kind, ...rest] = spec.split(':');
+        const value = rest.join(':').trim();
+
+        if (kind === 'countries') {
+            countries.forEach(c => add(countryRow(c, config.locale)));
+        } else if (kind === 'country' && countries.includes(value.toUpperCase())) {
+            add(countryRow(value.toUpperCase(), config.locale));
+        } else if (kind === 'genres') {
+            genres.forEach(g => add(genreRow(g, config.locale)));
+        } else if (kind === 'genre' && genres.includes(value)) {
+            add(genreRow(value, config.locale));
+        } else if (kind === 'networks') {
+            networkCounts.filter(([, count]) => count >= 2).forEach(([n]) => add(networkRow(n)));
+        } else if (kind === 'network') {
+            const match = networkCounts.find(([n]) => n.toLowerCase() === value.toLowerCase());
+            if (match) add(networkRow(match[0]));
+        }
+    });
+
+    return rows;
+}
+
+function resolveCatalog(catalogId, networksBySlug) {
+    // Installs from before multi-country support still ask for "rotv-all"
+    if (catalogId === 'rotv-all') {
+        return COUNTRIES.includes('RO') ? countryRow('RO') : null;
+    }
+
+    const match = /^rotv-(country|genre|network)-(.+)$/.exec(catalogId);
+    if (!match) return null;
+
+    const [, type, value] = match;
+    if (type === 'country') {
+        return COUNTRIES.includes(value.toUpperCase()) ? countryRow(value.toUpperCase()) : null;
+    }
+    if (type === 'genre') {
+        return genreRow(value);
+    }
+
+    const network = networksBySlug.get(value);
+    return network ? networkRow(network) : null;
+}
+
+// Also used for XML output (XMLTV export)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Request headers for a stream (iptv-org records `referrer` and `user_agent` for streams that need them)
+function getStreamHeaders(stream) {
+    const headers = { 'User-Agent': stream.user_agent || USER_AGENT };
+    if (stream.referrer) {
+        headers['Referer'] = stream.referrer;
+    }
+    return headers;
+}
+
+// Signed proxy URL. The stream's referrer/user_agent travel in the token so the proxy can
+// send them upstream; the original file name is kept so players can still sniff ".m3u8".
+function getProxiedStreamUrl(baseUrl, streamUrl, stream = {}) {
+    const token = signToken({
+        u: streamUrl,
+        r: stream.referrer || undefined,
+        a: stream.user_agent || undefined,
+        x: isRelayStream(stream) ? 1 : undefined
+    });
+
+    let fileName = 'stream.m3u8';
+    try {
+        fileName = new URL(streamUrl).pathname.split('/').pop() || fileName;
+    } catch (err) {
+        // Keep the default name
+    }
+
+    return `${baseUrl}/hls-proxy/${token}/${encodeURIComponent(fileName)}`;
+}
+
+// The shape is part of the path so Stremio caches every shape separately
+function getPosterUrl(baseUrl, channelId, logoUrl, shape = 'poster') {
+    const url = `${baseUrl}/poster-png/${encodeURIComponent(channelId)}/${signToken({ c: channelId, u: logoUrl })}`;
+    return shape === 'poster' ? url : `${url}/${shape}`;
+}
+
+// Channels of the given countries with at least one working stream, after the user's config and
+// the genre filter. Shared by the catalog and the playlist/EPG exports.
+function filterCatalogChannels(channelsByCountry, streamsByChannel, { countries, config, genre }) {
+    let results = countries.flatMap(country => channelsByCountry.get(country) || []).filter(c =>
+        (streamsByChannel.get(c.id) || []).some(s => isStreamAlive(s.url))
+    );
+
+    // Drop channels the user chose to hide
+    results = results.filter(c => !isHiddenChannel(c, config));
+
+    // Limit to the user's genres, if any were picked
+    if (config.genres.length) {
+        results = results.filter(c => c.categories?.some(g => config.genres.includes(g)));
+    }
+
+    // Apply genre filter if provided
+    if (genre) {
+        results = results.filter(c => c.categories?.includes(genre));
+    }
+
+    return results;
+}
+
+// Priority channels first (in the order defined), then the rest in list order
+function sortByPriority(channels, config) {
+    const rank = c => {
+        const index = getPriorityIndex(c, config);
+        return index === -1 ? Infinity : index;
+    };
+    return [...channels].sort((a, b) => rank(a) - rank(b));
+}
+
+function isSvgUrl(url) {
+    return /\.svg(\?|#|$)/i.test(url);
+}
+
+// Higher is better. SVGs scale to any size now that the poster generator renders them,
+// logos a bit wider than tall fill the poster's logo box best, and JPEGs come with their
+// own (usually white) background box. Retired logos are only used when nothing else exists.
+function scoreLogo(logo) {
+    let score = LOGO_FORMAT_SCORES[logo.format?.toLowerCase()] ?? 0;
+
+    const ratio = logo.width && logo.height ? logo.width / logo.height : 0;
+    if (ratio >= 1 && ratio <= 2) {
+        score += 20;
+    } else if (ratio >= 0.75 && ratio <= 3) {
+        score += 10;
+    }
+
+    // Resolution, SVGs count as large
+    const width = logo.format?.toLowerCase() === 'svg' ? Infinity : logo.width || 0;
+    if (width >= 512) {
+        score += 10;
+    } else if (width >= 256) {
+        score += 5;
+    }
+
+    (logo.tags || []).forEach(tag => {
+        score += LOGO_TAG_SCORES[tag.toLowerCase()] || 0;
+    });
+
+    if (logo.in_use === false) {
+        score -= 100;
+    }
+
+    return score;
+}
+
+// Best scored logo URL per channel, built once per logos.json download
+const bestLogos = new WeakMap(); // logos array -> Map of channel id -> url
+
+function getBestLogos(logos) {
+    let index = bestLogos.get(logos);
+    if (!index) {
+        const byChannel = new Map();
+        logos.filter(l => l.channel && l.url).forEach(logo => {
+            if (!byChannel.has(logo.channel)) byChannel.set(logo.channel, []);
+            byChannel.get(logo.channel).push(logo);
+        });
+
+        // Widest first among equally scored logos
+        index = new Map([...byChannel].map(([channelId, candidates]) => [channelId, candidates
+            .sort((a, b) => scoreLogo(b) - scoreLogo(a) || (b.width || 0) - (a.width || 0))[0].url]));
+        bestLogos.set(logos, index);
+    }
+    return index;
+}
+
+async function getPoster(channel) {
+    // Priority 0: Logo set by the operator in /admin
+    if (overrides.channels[channel.id]?.logo) {
+        return overrides.channels[channel.id].logo;
+    }
+
+    // Priority 1: Best scored logo from logos.json
+    const logoUrl = getBestLogos(await fetchLogos()).get(channel.id);
+    if (logoUrl) {
+        return logoUrl;
+    }
+
+    // Priority 2: Channel's logo field
+    if (channel.logo) {
+        return channel.logo;
+    }
+
+    // Priority 3: Default iptv-org logo pattern
+    if (channel.id) {
+        return `https://iptv-org.github.io/logo/${channel.id}.png`;
+    }
+
+    // Fallback: Stremio default background
+    return 'https://dl.strem.io/addon-background-landscape.jpg';
+}
+
+// Everything in a meta but the EPG, per locale and base URL (poster URLs embed it). An entry
+// is rebuilt when its channel object (data refresh, rename), the logos or the overrides change.
+const metaCaches = new Map(); // "locale baseUrl" -> Map of channel id -> { channel, logos, version, meta }
+
+async function getBaseMeta(channel, baseUrl, locale) {
+    const logos = await fetchLogos();
+    const key = `${locale} ${baseUrl}`;
+
+    let metas = metaCaches.get(key);
+    if (metas) {
+        // Most recently used base URL last
+        metaCaches.delete(key);
+    } else {
+        metas = new Map();
+        if (metaCaches.size >= META_CACHE_URLS) {
+            metaCaches.delete(metaCaches.keys().next().value);
+        }
+    }
+    metaCaches.set(key, metas);
+
+    const cached = metas.get(channel.id);
+    if (cached && cached.channel === channel && cached.logos === logos && cached.version === overridesVersion) {
+        return cached.meta;
+    }
+
+    const meta = await buildBaseMeta(channel, baseUrl, locale);
+    metas.set(channel.id, { channel, logos, version: overridesVersion, meta });
+    return meta;
+}
+
+async function buildBaseMeta(channel, baseUrl, locale) {
+    const logoUrl = await getPoster(channel);
+    const text = STRINGS[locale];
+
+    // Build description with available channel info
+    const descriptionParts = [getCountryName(channel.country, locale)];
+
+    // Add categories/genres
+    if (channel.categories && channel.categories.length > 0) {
+        descriptionParts.push(channel.categories.map(g => getGenreLabel(g, locale)).join(', '));
+    }
+
+    // Add network/broadcaster if available
+    if (channel.network) {
+        descriptionParts.push(`${text.network}: ${channel.network}`);
+    }
+
+    // Add language info
+    if (channel.languages && channel.languages.length > 0) {
+        descriptionParts.push(`${text.languages}: ${channel.languages.map(l => getLanguageName(l, locale)).join(', ')}`);
+    }
+
+    // Generated images with the logo centered on a dark background: portrait for the
+    // poster, 16:9 for the background
+    const poster = baseUrl ? getPosterUrl(baseUrl, channel.id, logoUrl) : logoUrl;
+    const background = baseUrl ? getPosterUrl(baseUrl, channel.id, logoUrl, 'landscape') : logoUrl;
+
+    return {
+        id: `rotv-${channel.id}`,
+        type: 'tv',
+        name: channel.name,
+        poster,
+        posterShape: 'poster',
+        background,
+        description: descriptionParts.join(' • ')
+    };
+}
+
+async function toMeta(channel, baseUrl = '', { withSchedule = false, locale = DEFAULT_LOCALE } = {}) {
+    const meta = await getBaseMeta(channel, baseUrl, locale);
+    const { now, next } = await getNowNext(channel.id);
+    const text = STRINGS[locale];
+
+    // Add what's on now / next from the EPG
+    const nowNext = [
+        now && `${text.now}: ${now.title}`,
+        next && `${text.next}: ${formatEpgTime(next.start)} ${next.title}`
+    ].filter(Boolean).join(' / ');
+
+    let description = meta.description;
+    if (nowNext) {
+        description = `${nowNext}\n${description}`;
+    }
+
+    // Full day's schedule is only added for the meta details page
+    if (withSchedule) {
+        const schedule = await getDaySchedule(channel.id);
+        if (schedule.length) {
+            description += '\n\n' + schedule
+                .map(p => `${formatEpgTime(p.start)} ${p.title}`)
+                .join('\n');
+        }
+    }
+
+    return { ...meta, description };
+}
+
+/* ---------------- MANIFEST ENDPOINT ---------------- */
+app.get(['/manifest.json', '/:config/manifest.json'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const { channelsByCountry } = await getData();
+
+    // Country rows are the searchable catalogs, with the genres of that country's channels
+    // (limited to the user's picks, if any). Genre and network rows only page.
+    const catalogs = getCatalogRows(channelsByCountry, config).map(row => {
+        const extra = [];
+        if (row.type === 'country') {
+            let genres = [...new Set(channelsByCountry.get(row.value)
+                .filter(c => config.nsfw || !c.is_nsfw)
+                .flatMap(c => c.categories || []))].sort();
+            if (config.genres.length) {
+                genres = genres.filter(g => config.genres.includes(g));
+            }
+
+            extra.push(
+                { name: 'search', isRequired: false },
+                { name: 'genre', isRequired: false, options: genres.map(g => getGenreLabel(g, config.locale)) }
+            );
+        }
+        extra.push({ name: 'skip', isRequired: false });
+
+        return { type: 'tv', id: row.id, name: row.name, extra };
+    });
+
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+        id: 'org.romanian-tv',
+        name: 'Romanian TV',
+        version: '1.0.1',
+        description: STRINGS[config.locale].description,
+        logo: `${baseUrl}/logo.png`,
+        resources: ['catalog', 'meta', 'stream'],
+        types: ['tv'],
+        idPrefixes: ['rotv-'],
+        catalogs,
+        behaviorHints: {
+            configurable: true,
+            configurationRequired: false
+        },
+        stremioAddonsConfig: {
+            issuer: "https://stremio-addons.net",
+            signature: "eyJhbGciOiJkaXIiLCJlbmMiOiJBMTI4Q0JDLUhTMjU2In0..Bv_G0RGi_DFiUZ-2wRvKNQ.Tt-cEjr_Xii3jek_G2Xv3rsiARKPNr62IvzEO29vsHHqdo3JtQ2JrGWAacJeXwELQRk1P6tzcTR--aDsOa-dCCHyC99nm0zuU5C3CfxBsQr3_woOsXu6N9aCTMo3jKbC.cd18-EjFIdJzqmKUImQwyQ"
+        }
+    });
+}));
+
+/* ---------------- CATALOG ENDPOINT ---------------- */
+app.get(['/catalog/:type/:id/:extra?.json', '/:config/catalog/:type/:id/:extra?.json'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const params = Object.fromEntries(new URLSearchParams(req.params.extra || ''));
+    const { channels, streamsByChannel, channelsByCountry, networksBySlug } = await getData();
+    const skip = Math.max(parseInt(params.skip) || 0, 0);
+
+    const catalog = resolveCatalog(req.params.id, networksBySlug);
+    if (!catalog) {
+        return res.json({ metas: [] });
+    }
+
+    let results = filterCatalogChannels(channelsByCountry, streamsByChannel, {
+        countries: catalog.type === 'country' ? [catalog.value] : getUserCountries(config),
+        config,
+        genre: params.genre && getGenreId(params.genre, config.locale)
+    });
+
+    // Genre and network rows span all of the user's countries
+    if (catalog.type === 'genre') {
+        results = results.filter(c => c.categories?.includes(catalog.value));
+    } else if (catalog.type === 'network') {
+        results = results.filter(c => c.network === catalog.value);
+    }
+
+    // Stable order (priority channels first, then the rest, or by relevance when
+    // searching) so pages never overlap
+    results = sortByPriority(results, config);
+    if (params.search) {
+        results = searchChannels(results, params.search, channels);
+    }
+    results = results.slice(skip, skip + CATALOG_PAGE_SIZE);
+
+    // Transform channels to metas
+    const baseUrl = getBaseUrl(req);
+    const metas = await Promise.all(results.map(channel => toMeta(channel, baseUrl, { locale: config.locale })));
+
+    res.json({ metas });
+}));
+
+/* ---------------- META ENDPOINT ---------------- */
+app.get(['/meta/:type/:id.json', '/:config/meta/:type/:id.json'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const { channelsById, replacements } = await getData();
+    // Closed channels in users' libraries show their successor
+    const channelId = resolveChannelId(req.params.id.replace('rotv-', ''), replacements);
+
+    const channel = channelsById.get(channelId);
+    if (!channel || isHiddenChannel(channel, config)) {
+        return res.json({ meta: {} });
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const meta = await toMeta(channel, baseUrl, { withSchedule: true, locale: config.locale });
+
+    res.json({ meta });
+}));
+
+/* ---------------- STREAM ENDPOINT ---------------- */
+app.get(['/stream/:type/:id.json', '/:config/stream/:type/:id.json'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const { channelsById, streamsByChannel, feeds, replacements } = await getData();
+    const channelId = resolveChannelId(req.params.id.replace('rotv-', ''), replacements);
+
+    const channel = channelsById.get(channelId);
+    if (channel && isHiddenChannel(channel, config)) {
+        return res.json({ streams: [] });
+    }
+
+    // Get ALL working streams for this channel (HD, SD, different sources) in the user's languages
+    let channelStreams = orderStreamsByFeed(
+        (streamsByChannel.get(channelId) || []).filter(s => isStreamAlive(s.url)),
+        feeds, channel, config
+    );
+
+    if (channelStreams.length === 0) {
+        return res.json({ streams: [] });
+    }
+
+    const sourceCount = channelStreams.length;
+
+    // Split master playlists into one entry per variant, best first, then preferred quality
+    // first, grouped by feed (main feed first)
+    channelStreams = (await Promise.all(channelStreams.map(expandStreamVariants))).flat();
+    channelStreams = sortStreamsByQuality(sortStreamsBestFirst(channelStreams), config.quality);
+    channelStreams = orderStreamsByFeed(channelStreams, feeds, channel, config);
+
+    // Use proxied URL to handle CORS issues
+    const baseUrl = getBaseUrl(req);
+
+    // Return all available streams with descriptive titles
+    const streamObjects = channelStreams.map(stream => {
+        // Feed (name, language, region) on the first line, the stream itself on the second
+        const feedLabel = getFeedLabel(getFeed(feeds, stream), config.locale);
+        const detail = (stream.isVariant && getVariantTitle(stream)) || stream.title ||
+            `${feedLabel ? '' : stream.feed || STRINGS[config.locale].live} ${stream.quality || ''}`.trim() ||
+            STRINGS[config.locale].live;
+        const title = feedLabel ? `${feedLabel}\n${detail}` : detail;
+
+        // Relayed streams always go through the proxy
+        const proxied = STREAM_PROXY || isRelayStream(stream);
+        const streamObject = {
+            url: proxied ? getProxiedStreamUrl(baseUrl, stream.url, stream) : stream.url,
+            title: title,
+            name: title // Some Stremio clients use 'name' instead of 'title'
+        };
+
+        // Without the proxy, let Stremio's own proxy send the headers the stream needs
+        if (!proxied && (stream.referrer || stream.user_agent)) {
+            streamObject.behaviorHints = {
+                notWebReady: true,
+                proxyHeaders: { request: getStreamHeaders(stream) }
+            };
+        }
+
+        return streamObject;
+    });
+
+    // With several sources, offer the failover URL first: it plays whichever stream works
+    if (STREAM_PROXY && sourceCount > 1) {
+        const configPrefix = req.params.config ? `/${req.params.config}` : '';
+        streamObjects.unshift({
+            url: `${baseUrl}${configPrefix}/play/${encodeURIComponent(channelId)}.m3u8`,
+            title: STRINGS[config.locale].autoFailover,
+            name: STRINGS[config.locale].autoFailover
+        });
+    }
+
+    res.json({ streams: streamObjects });
+}));
+
+/* ---------------- HLS PROXY ENDPOINT ---------------- */
+// Point nested playlists at the proxy (with the stream's headers) and make segment URLs absolute.
+// Relayed streams get proxied segments, keys and init segments as well.
+function rewritePlaylist(playlistData, finalUrl, baseUrl, streamHeaders) {
+    const relay = isRelayStream(streamHeaders);
+    let variantNext = false; // the URI line after #EXT-X-STREAM-INF is a media playlist, whatever its name
+
+    // Relative and absolute URI lines alike (most CDNs list absolute ones)
+    const rewritten = playlistData.replace(
+        /^(#EXT-X-STREAM-INF.*|(?!#).+)$/gm,
+        (match) => {
+            if (match.startsWith('#')) {
+                variantNext = true;
+                return match;
+            }
+            try {
+                const trimmedMatch = match.trim();
+                if (!trimmedMatch) return match;
+
+                const absoluteUrl = new URL(trimmedMatch, finalUrl).href;
+
+                // Only proxy if it's another M3U8 playlist (master -> media playlist)
+                // For video segments (.ts, .m4s, etc), use direct URLs to save bandwidth
+                const isPlaylist = variantNext || isPlaylistUrl(trimmedMatch);
+                variantNext = false;
+
+                if (isPlaylist || relay) {
+                    // Proxy nested playlists (and segments of relayed streams)
+                    return getProxiedStreamUrl(baseUrl, absoluteUrl, streamHeaders);
+                } else {
+                    // Return direct URL for video segments (saves bandwidth!)
+                    return absoluteUrl;
+                }
+            } catch (err) {
+                // If URL parsing fails, return original line
+                console.warn('Failed to parse segment URL:', match);
+                return match;
+            }
+        }
+    );
+
+    // URI="..." attributes: alternative renditions and I-frame playlists always, and for relayed
+    // streams the #EXT-X-KEY and #EXT-X-MAP ones too
+    const uriTags = relay
+        ? /^(#EXT[^\n]*?URI=")([^"]+)(")/gm
+        : /^(#EXT-X-(?:MEDIA|I-FRAME-STREAM-INF):[^\n]*?URI=")([^"]+)(")/gm;
+    return rewritten.replace(uriTags, (match, before, uri, after) => {
+        try {
+            return before + getProxiedStreamUrl(baseUrl, new URL(uri, finalUrl).href, streamHeaders) + after;
+        } catch (err) {
+            return match;
+        }
+    });
+}
+
+function isPlaylistUrl(url) {
+    return url.includes('.m3u8') || url.includes('.m3u');
+}
+
+function cacheSegment(url, segment) {
+    if (segment.buffer.length > SEGMENT_CACHE_SIZE) return;
+
+    // Drop expired segments, then the oldest until the new one fits
+    for (const [key, entry] of segmentCache) {
+        const expired = Date.now() - entry.timestamp >= SEGMENT_CACHE_TTL;
+        if (!expired && segmentCacheBytes + segment.buffer.length <= SEGMENT_CACHE_SIZE) break;
+        segmentCache.delete(key);
+        segmentCacheBytes -= entry.buffer.length;
+    }
+
+    segmentCache.set(url, segment);
+    segmentCacheBytes += segment.buffer.length;
+}
+
+async function fetchSegment(url, streamHeaders) {
+    const response = await axios.get(url, {
+        ...SAFE_REQUEST_OPTIONS,
+        responseType: 'arraybuffer',
+        maxRedirects: 5,
+        maxContentLength: SEGMENT_MAX_SIZE,
+        timeout: 10000,
+        headers: getStreamHeaders(streamHeaders)
+    });
+
+    const buffer = Buffer.from(response.data);
+    const contentType = response.headers['content-type'] || 'video/mp2t';
+
+    // Playlists without .m3u8 in their URL ("…/live?ch=1") only show up here. They are
+    // rewritten by the caller and never cached: live playlists change every few seconds.
+    if (isPlaylistResponse(contentType, buffer)) {
+        return { playlist: buffer.toString('utf8'), finalUrl: response.request.res.responseUrl || url };
+    }
+
+    const segment = { buffer, contentType, timestamp: Date.now() };
+    cacheSegment(url, segment);
+    return segment;
+}
+
+function isPlaylistResponse(contentType, buffer) {
+    return /mpegurl|m3u8/i.test(contentType) ||
+        buffer.subarray(0, 64).toString('utf8').replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U');
+}
+
+// One upstream fetch per segment, however many viewers ask for it at the same time
+async function getSegment(url, streamHeaders) {
+    const cached = segmentCache.get(url);
+    if (cached && Date.now() - cached.timestamp < SEGMENT_CACHE_TTL) {
+        metrics.segmentCache.hit++;
+        return { ...cached, cacheStatus: 'HIT' };
+    }
+
+    if (segmentFetches.has(url)) {
+        metrics.segmentCache.shared++;
+        return { ...await segmentFetches.get(url), cacheStatus: 'SHARED' };
+    }
+
+    metrics.segmentCache.miss++;
+    const fetching = fetchSegment(url, streamHeaders).finally(() => segmentFetches.delete(url));
+    segmentFetches.set(url, fetching);
+    return { ...await fetching, cacheStatus: 'MISS' };
+}
+
+app.get('/hls-proxy/:token/:file?', rateLimit('hls-proxy'), asyncHandler(async (req, res) => {
+    // Only serve URLs signed by getProxiedStreamUrl
+    const payload = verifyToken(req.params.token);
+    if (!payload || !payload.u) {
+        return res.status(403).json({ error: 'Invalid stream token' });
+    }
+
+    const streamUrl = payload.u;
+
+    try {
+        assertPublicUrl(streamUrl);
+
+        // Headers the stream needs and the relay flag, passed along by getProxiedStreamUrl
+        const streamHeaders = {
+            referrer: payload.r,
+            user_agent: payload.a,
+            relay: Boolean(payload.x)
+        };
+
+        // Relayed segments come from the shared segment cache
+        if (streamHeaders.relay && !isPlaylistUrl(streamUrl)) {
+            const segment = await getSegment(streamUrl, streamHeaders);
+            if (segment.playlist !== undefined) {
+                res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                res.setHeader('Cache-Control', 'no-cache');
+                return res.send(rewritePlaylist(segment.playlist, segment.finalUrl, getBaseUrl(req), streamHeaders));
+            }
+
+            res.setHeader('Content-Type', segment.contentType);
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.setHeader('Cache-Control', 'public, max-age=30');
+            res.setHeader('X-Cache', segment.cacheStatus);
+            return res.send(segment.buffer);
+        }
+
+        // Fetch the stream content with redirect following
+        const response = await axios.get(streamUrl, {
+            ...SAFE_REQUEST_OPTIONS,
+            responseType: 'stream',
+            maxRedirects: 5,
+            timeout: 10000, // 10 second timeout
+            validateStatus: (status) => status < 400,
+            headers: getStreamHeaders(streamHeaders)
+        });
+
+        // Get final URL after redirects
+        const finalUrl = response.request.res.responseUrl || streamUrl;
+
+        // Detect dead streams that redirect to error pages
+        try {
+            if (isErrorPageUrl(finalUrl)) {
+                console.error('Stream redirected to error page:', finalUrl);
+                recordProxyError('ERROR_PAGE');
+                return res.status(404).json({
+                    error: 'Stream not available',
+                    message: 'This stream appears to be dead or blocked'
+                });
+            }
+        } catch (urlError) {
+            console.error('Invalid final URL:', finalUrl);
+            return res.status(500).json({ error: 'Invalid redirect URL' });
+        }
+
+        // Copy relevant headers
+        const contentType = response.headers['content-type'] || 'application/vnd.apple.mpegurl';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type');
+
+        // If it's an M3U8 playlist, rewrite URLs
+        if (contentType.includes('mpegurl') || contentType.includes('m3u8') || streamUrl.includes('.m3u8')) {
+            let playlistData = '';
+
+            response.data.on('data', (chunk) => {
+                playlistData += chunk.toString('utf8');
+            });
+
+            response.data.on('end', () => {
+                // Validate playlist content
+                if (!playlistData.includes('#EXTM3U')) {
+                    // Check if it's an HTML error page
+                    const isHTML = isHtmlPage(playlistData);
+                    recordProxyError(isHTML ? 'HTML_PAGE' : 'INVALID_PLAYLIST');
+
+                    return res.status(404).json({
+                        error: 'Stream unavailable',
+                        message: isHTML ? 'Stream returned an error page (expired or blocked)' : 'Invalid M3U8 format'
+                    });
+                }
+
+                const baseUrl = getBaseUrl(req);
+
+                try {
+                    const rewrittenPlaylist = rewritePlaylist(playlistData, finalUrl, baseUrl, streamHeaders);
+                    res.send(rewrittenPlaylist);
+                } catch (err) {
+                    console.error('Playlist rewrite error:', err.message);
+                    res.status(500).json({ error: 'Failed to process playlist' });
+                }
+            });
+        } else {
+            // For video segments, redirect to origin instead of proxying to save bandwidth
+            res.redirect(307, finalUrl);
+        }
+
+    } catch (error) {
+        // Provide specific error messages based on error type
+        let statusCode = 500;
+        let errorMessage = 'Failed to proxy stream';
+
+        if (error.code === 'EPRIVATEADDRESS' || error.cause?.code === 'EPRIVATEADDRESS') {
+            statusCode = 403;
+            errorMessage = 'Stream address not allowed';
+        } else if (error.code === 'ECONNREFUSED') {
+            statusCode = 503;
+            errorMessage = 'Stream server refused connection';
+        } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+            statusCode = 504;
+            errorMessage = 'Stream server timeout';
+        } else if (error.response) {
+            statusCode = error.response.status;
+            errorMessage = `Stream server returned ${error.response.status}`;
+        }
+
+        recordProxyError(error.cause?.code || error.code || (error.response ? `HTTP_${error.response.status}` : null));
+
+        console.error('Proxy error:', {
+            url: streamUrl,
+            code: error.code,
+            message: error.message
+        });
+
+        res.status(statusCode).json({
+            error: errorMessage,
+            details: error.message
+        });
+    }
+}));
+
+/* ---------------- FAILOVER PLAYBACK ENDPOINT ---------------- */
+// Streams to try for a channel: healthy first, then not yet checked, then failed ones
+// (they may have recovered); quality order within each group
+function getFailoverCandidates(channelStreams, config) {
+    const healthRank = stream => {
+        const status = streamHealth.get(stream.url);
+        if (!status) return 1;
+        return status.ok ? 0 : 2;
+    };
+
+    const candidates = sortStreamsByQuality(sortStreamsBestFirst(channelStreams), config.quality)
+        .sort((a, b) => healthRank(a) - healthRank(b));
+
+    // Try the recent winner first
+    const winner = failoverWinners.get(channelStreams[0]?.channel);
+    if (winner && Date.now() - winner.timestamp < FAILOVER_WINNER_TTL) {
+        const index = candidates.findIndex(s => s.url === winner.url);
+        if (index > 0) candidates.unshift(...candidates.splice(index, 1));
+    }
+
+    return candidates;
+}
+
+app.get(['/play/:channelId.m3u8', '/:config/play/:channelId.m3u8'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const { channelsById, streamsByChannel, feeds, replacements } = await getData();
+    const channelId = resolveChannelId(req.params.channelId, replacements);
+
+    const channel = channelsById.get(channelId);
+    if (channel && isHiddenChannel(channel, config)) {
+        return res.status(404).json({ error: 'Stream not available', message: 'Channel is hidden' });
+    }
+
+    const channelStreams = orderStreamsByFeed(streamsByChannel.get(channelId) || [], feeds, channel, config);
+    const candidates = getFailoverCandidates(channelStreams, config);
+    const baseUrl = getBaseUrl(req);
+
+    // Serve the first stream that returns a valid playlist (same dead-page/HTML checks as /hls-proxy)
+    for (const stream of candidates) {
+        try {
+            // Same SSRF rules as /hls-proxy: the playlist is sent to the client
+            assertPublicUrl(stream.url);
+            const playlist = await fetchPlaylistText(stream.url, getStreamHeaders(stream), FAILOVER_TIMEOUT, SAFE_REQUEST_OPTIONS);
+
+            failoverWinners.set(channelId, { url: stream.url, timestamp: Date.now() });
+
+            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.setHeader('Cache-Control', 'no-cache');
+            return res.send(rewritePlaylist(playlist.text, playlist.finalUrl, baseUrl, stream));
+        } catch (err) {
+            console.warn(`Failover: ${channelId} stream failed, trying next:`, stream.url, err.message);
+        }
+    }
+
+    failoverWinners.delete(channelId);
+    res.status(404).json({
+        error: 'Stream not available',
+        message: 'None of the channel streams are working'
+    });
+}));
+
+/* ---------------- POSTER GENERATOR ENDPOINT (PNG / WebP / AVIF) ---------------- */
+// ?format= wins, otherwise the best format the client accepts (PNG for everyone else)
+function getPosterFormat(req) {
+    const requested = POSTER_FORMATS.find(f => f.format === req.query.format);
+    if (requested) return requested;
+
+    const accept = req.headers.accept || '';
+    return POSTER_FORMATS.find(f => f.format === 'png' || accept.includes(f.type));
+}
+
+function getCachedPoster(key) {
+    const cached = posterCache.get(key);
+    if (!cached) return null;
+
+    // Move to the end of the LRU order, or drop when expired
+    posterCache.delete(key);
+    if (Date.now() - cached.timestamp >= POSTER_TTL) return null;
+    posterCache.set(key, cached);
+    return cached;
+}
+
+function cachePoster(key, entry) {
+    posterCache.delete(key);
+    posterCache.set(key, entry);
+    while (posterCache.size > POSTER_CACHE_SIZE) {
+        posterCache.delete(posterCache.keys().next().value);
+    }
+}
+
+function getPosterFile(key, format) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(POSTER_DIR, `${hash}.${format}`);
+}
+
+async function readPosterFile(file) {
+    try {
+        const stat = await fs.promises.stat(file);
+        if (Date.now() - stat.mtimeMs >= POSTER_TTL) return null;
+        return { buffer: await fs.promises.readFile(file), timestamp: stat.mtimeMs };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Unique temp name, the same poster can be rendered by two requests at once
+async function writePosterFile(file, buffer) {
+    const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.promises.mkdir(POSTER_DIR, { recursive: true });
+        await fs.promises.writeFile(tmp, buffer);
+        await fs.promises.rename(tmp, file);
+    } catch (err) {
+        console.warn('Failed to write poster to disk:', err.message);
+    }
+}
+
+// Deletes expired posters (and leftover temp files) from disk
+async function prunePosterFiles() {
+    let files;
+    try {
+        files = await fs.promises.readdir(POSTER_DIR);
+    } catch (err) {
+        return;
+    }
+
+    let removed = 0;
+    for (const name of files) {
+        const file = path.join(POSTER_DIR, name);
+        try {
+            const stat = await fs.promises.stat(file);
+            if (name.endsWith('.tmp') || Date.now() - stat.mtimeMs >= POSTER_TTL) {
+                await fs.promises.unlink(file);
+                removed++;
+            }
+        } catch (err) {
+            // Removed by a concurrent write or prune
+        }
+    }
+    if (removed) {
+        console.log(`🧹 Removed ${removed} expired posters from disk`);
+    }
+}
+
+function clearPosterCache() {
+    posterCache.clear();
+    fs.promises.rm(POSTER_DIR, { recursive: true, force: true })
+        .catch(err => console.warn('Failed to clear poster directory:', err.message));
+}
+
+function isSvg(buffer) {
+    return /^(\uFEFF)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)?<svg[\s>]/i
+        .test(buffer.subarray(0, 4096).toString('utf8'));
+}
+
+// Logos come from third parties: drop scripts, event handlers, foreign HTML, entity
+// declarations and every reference that isn't local (#id) or an embedded data: image,
+// so the renderer never loads anything from the network or the file system
+function sanitizeSvg(svg) {
+    return svg
+        .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '')
+        .replace(/<!ENTITY[\s\S]*?>/gi, '')
+        .replace(/<(script|foreignObject|iframe|object|embed)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<(script|foreignObject|iframe|object|embed)\b[^>]*\/?>/gi, '')
+        .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+        .replace(/\s+(xlink:)?href\s*=\s*("(?!#|data:image\/)[^"]*"|'(?!#|data:image\/)[^']*')/gi, '')
+        .replace(/url\(\s*(['"]?)(?!#|data:image\/)[^)]*\)/gi, 'none')
+        .replace(/@import[^;]*;/gi, '');
+}
+
+// SVGs are sanitised and rendered at the density that fills the logo box, so they stay
+// sharp instead of being scaled up from their (often tiny) nominal size
+async function loadLogo(logoBuffer, { logoWidth, logoHeight }) {
+    if (!isSvg(logoBuffer)) {
+        return sharp(logoBuffer);
+    }
+
+    const svg = Buffer.from(sanitizeSvg(logoBuffer.toString('utf8')));
+    const { width, height } = await sharp(svg).metadata();
+    const scale = width && height ? Math.min(logoWidth / width, logoHeight / height) : 1;
+    const density = Math.min(Math.max(72 * scale, 72), SVG_MAX_DENSITY);
+
+    return sharp(svg, { density });
+}
+
+// Logo centered on a dark canvas of the given shape, resized to fit its box (never enlarged)
+async function renderPoster(logoBuffer, shape, format) {
+    const { width, height, logoWidth, logoHeight } = POSTER_SHAPES[shape];
+
+    const logo = await (await loadLogo(logoBuffer, POSTER_SHAPES[shape]))
+        .resize(logoWidth, logoHeight, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer({ resolveWithObject: true });
+
+    return sharp({
+        create: {
+            width,
+            height,
+            channels: 4,
+            background: { r: 26, g: 26, b: 46, alpha: 1 } // #1a1a2e
+        }
+    })
+        .composite([{
+            input: logo.data,
+            left: Math.round((width - logo.info.width) / 2),
+            top: Math.round((height - logo.info.height) / 2)
+        }])
+        .toFormat(format)
+        .toBuffer();
+}
+
+// Shape from the path (/poster-png/<id>/<token>/landscape) or ?shape=, "poster" by default
+app.get('/poster-png/:channelId/:token/:shape?', rateLimit('poster-png'), asyncHandler(async (req, res) => {
+    // Only render logos signed by getPosterUrl for this channel
+    const channelId = req.params.channelId;
+    const payload = verifyToken(req.params.token);
+    if (!payload || payload.c !== channelId || !payload.u) {
+        return res.status(403).json({ error: 'Invalid poster token' });
+    }
+
+    const logoUrl = payload.u;
+    const requestedShape = req.params.shape || req.query.shape;
+    const shape = POSTER_SHAPES[requestedShape] ? requestedShape : 'poster';
+    const { format, type } = getPosterFormat(req);
+
+    const sendPoster = (buffer, cacheStatus) => {
+        res.setHeader('Content-Type', type);
+        res.setHeader('Cache-Control', 'public, max-age=604800'); // Cache for 7 days
+        res.setHeader('Vary', 'Accept');
+        res.setHeader('X-Cache', cacheStatus);
+        res.send(buffer);
+    };
+
+    try {
+        assertPublicUrl(logoUrl);
+
+        const cacheKey = `${channelId}|${logoUrl}|${shape}|${format}`;
+
+        // Memory first, then disk
+        const cached = getCachedPoster(cacheKey);
+        if (cached) {
+            metrics.posterCache.hit++;
+            return sendPoster(cached.buffer, 'HIT');
+        }
+
+        const file = getPosterFile(cacheKey, format);
+        const stored = await readPosterFile(file);
+        if (stored) {
+            cachePoster(cacheKey, stored);
+            metrics.posterCache.disk++;
+            return sendPoster(stored.buffer, 'HIT-DISK');
+        }
+
+        // Download logo with timeout
+        const logoResponse = await axios.get(logoUrl, {
+            ...SAFE_REQUEST_OPTIONS,
+            responseType: 'arraybuffer',
+            maxContentLength: 10 * 1024 * 1024,
+            timeout: 5000,
+            headers: {
+                'User-Agent': USER_AGENT
+            }
+        });
+
+        const poster = await renderPoster(Buffer.from(logoResponse.data), shape, format);
+
+        cachePoster(cacheKey, { buffer: poster, timestamp: Date.now() });
+        writePosterFile(file, poster);
+
+        metrics.posterCache.miss++;
+        sendPoster(poster, 'MISS');
+
+    } catch (error) {
+        // Redirect to original logo as fallback
+        res.redirect(logoUrl);
+    }
+}));
+
+/* ---------------- PLAYLIST EXPORT (M3U / XMLTV) ---------------- */
+// Same channels and order as the catalog, for players outside Stremio (VLC, Kodi, TiviMate).
+// Supports ?country=, ?genre= and ?search= like the catalog extras.
+async function getExportChannels(req) {
+    const config = getConfig(req);
+    const { channels, streamsByChannel, channelsByCountry, feeds } = await getData();
+    const country = (req.query.country || '').toUpperCase();
+    const countries = country ? [country].filter(c => COUNTRIES.includes(c)) : getUserCountries(config);
+
+    let results = sortByPriority(filterCatalogChannels(channelsByCountry, streamsByChannel, {
+        countries,
+        config,
+        genre: req.query.genre
+    }), config);
+    if (req.query.search) {
+        results = searchChannels(results, String(req.query.search), channels);
+    }
+
+    return { config, streamsByChannel, feeds, channels: results };
+}
+
+// Most IPTV players can't show SVG, they get a rendered square PNG instead
+function getExportLogo(baseUrl, channel, logoUrl) {
+    return isSvgUrl(logoUrl) ? getPosterUrl(baseUrl, channel.id, logoUrl, 'square') : logoUrl;
+}
+
+// XMLTV timestamps in UTC, e.g. "20240101183000 +0000"
+function formatXmltvDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+app.get(['/playlist.m3u', '/:config/playlist.m3u'], asyncHandler(async (req, res) => {
+    const { config, streamsByChannel, feeds, channels } = await getExportChannels(req);
+    const baseUrl = getBaseUrl(req);
+    const epgUrl = `${baseUrl}${req.params.config ? `/${req.params.config}` : ''}/epg.xml`;
+
+    const lines = [`#EXTM3U x-tvg-url="${epgUrl}"`];
+    for (const channel of channels) {
+        // One entry per channel, using the best working stream for the preferred quality
+        const channelStreams = (streamsByChannel.get(channel.id) || []).filter(s => isStreamAlive(s.url));
+        const [stream] = orderStreamsByFeed(sortStreamsByQuality(channelStreams, config.quality), feeds, channel, config);
+        if (!stream) continue;
+
+        const logo = getExportLogo(baseUrl, channel, await getPoster(channel));
+        const group = (channel.categories || []).join(';');
+        const name = channel.name.replace(/"/g, "'");
+        lines.push(`#EXTINF:-1 tvg-id="${channel.id}" tvg-name="${name}" tvg-logo="${logo}" group-title="${group}",${name}`);
+        lines.push(getProxiedStreamUrl(baseUrl, stream.url, stream));
+    }
+
+    res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.send(lines.join('\n') + '\n');
+}));
+
+app.get(['/epg.xml', '/:config/epg.xml'], asyncHandler(async (req, res) => {
+    const { channels } = await getExportChannels(req);
+    const epg = await getEpg();
+    const baseUrl = getBaseUrl(req);
+
+    const xml = ['<?xml version="1.0" encoding="UTF-8"?>', '<tv generator-info-name="Romanian TV">'];
+    for (const channel of channels) {
+        const logo = getExportLogo(baseUrl, channel, await getPoster(channel));
+        xml.push(`  <channel id="${escapeHtml(channel.id)}">`);
+        xml.push(`    <display-name>${escapeHtml(channel.name)}</display-name>`);
+        xml.push(`    <icon src="${escapeHtml(logo)}" />`);
+        xml.push('  </channel>');
+    }
+    for (const channel of channels) {
+        for (const programme of epg.get(channel.id) || []) {
+            xml.push(`  <programme start="${formatXmltvDate(programme.start)}" stop="${formatXmltvDate(programme.stop)}" channel="${escapeHtml(channel.id)}">`);
+            xml.push(`    <title>${escapeHtml(programme.title)}</title>`);
+            if (programme.desc) {
+                xml.push(`    <desc>${escapeHtml(programme.desc)}</desc>`);
+            }
+            xml.push('  </programme>');
+        }
+    }
+    xml.push('</tv>');
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.send(xml.join('\n') + '\n');
+}));
+
+/* ---------------- HEALTH & METRICS ENDPOINTS ---------------- */
+app.get('/health', (req, res) => {
+    const ages = Object.fromEntries(getDataAges());
+    const healthStates = [...streamHealth.values()];
+
+    // Degraded when iptv-org data is missing or hasn't refreshed for two TTLs
+    let status = 'ok';
+    if (ages.data === null) {
+        status = 'down';
+    } else if (ages.data * 1000 > 2 * TTL) {
+        status = 'degraded';
+    }
+
+    res.status(status === 'down' ? 503 : 200).json({
+        status,
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        data: {
+            ageSeconds: ages.data === null ? null : Math.round(ages.data),
+            refreshing: Boolean(dataRefreshing),
+            channels: cache.channels ? cache.channels.length : 0,
+            streams: cache.streams ? cache.streams.length : 0
+        },
+        logos: {
+            ageSeconds: ages.logos === null ? null : Math.round(ages.logos),
+            count: logosCache ? logosCache.length : 0
+        },
+        epg: {
+            ageSeconds: ages.epg === null ? null : Math.round(ages.epg),
+            channels: epgCache ? epgCache.size : 0
+        },
+        streamHealth: {
+            checked: healthStates.length,
+            ok: healthStates.filter(h => h.ok).length,
+            running: healthCheckRunning
+        },
+        posterCache: {
+            entries: posterCache.size
+        },
+        segmentCache: {
+            entries: segmentCache.size,
+            bytes: segmentCacheBytes
+        },
+        circuits: getCircuitStates()
+    });
+});
+
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+/* ---------------- ADMIN DASHBOARD ---------------- */
+// HTTP basic auth, any user name with ADMIN_PASSWORD. Both sides are hashed first so
+// timingSafeEqual gets buffers of the same length.
+function requireAdmin(req, res, next) {
+    if (!ADMIN_PASSWORD) {
+        return res.status(404).send('Admin dashboard is disabled (set ADMIN_PASSWORD)');
+    }
+
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const credentials = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    if (!credentials.includes(':') || !crypto.timingSafeEqual(hash(password), hash(ADMIN_PASSWORD))) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="Romanian TV admin", charset="UTF-8"');
+        return res.status(401).send('Authentication required');
+    }
+
+    next();
+}
+
+// Browsers send cached basic auth credentials with cross-site form posts too. Forms can't
+// send JSON (and other sites can't send it with credentials), so the admin actions only
+// accept JSON, and only from this host when the browser says where the request comes from.
+function requireSameOriginJson(req, res, next) {
+    const origin = req.headers.origin;
+    if (origin && getOriginHost(origin) !== req.headers.host) {
+        return res.status(403).json({ error: 'Cross-origin request refused' });
+    }
+    if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Expected a JSON request body' });
+    }
+
+    next();
+}
+
+// null for "null" (sandboxed frames, file: pages) and anything else that isn't a URL
+function getOriginHost(origin) {
+    try {
+        return new URL(origin).host;
+    } catch (err) {
+        return null;
+    }
+}
+
+function formatProbe(health) {
+    if (!health) return '⏳ neverificat';
+    const checked = formatEpgTime(health.lastChecked);
+    return health.ok
+        ? `✅ ${health.latency} ms · ${checked}`
+        : `❌ ${health.error} · ${checked}`;
+}
+
+app.get('/admin', requireAdmin, asyncHandler(async (req, res) => {
+    const { streamsByChannel } = await getData();
+    // Original names from iptv-org, the renames are shown in their own column
+    const { channels, streams } = cache;
+
+    const served = getServedChannels(channels).sort((a, b) => a.name.localeCompare(b.name));
+    const rows = await Promise.all(served.map(async channel => {
+        const channelStreams = streamsByChannel.get(channel.id) || [];
+        const override = overrides.channels[channel.id] || {};
+        const streamList = channelStreams.map(s => `
+                <li><span class="url" title="${escapeHtml(s.url)}">${escapeHtml(s.title || s.url)}</span>
+                <span class="probe">${escapeHtml(formatProbe(streamHealth.get(s.url)))}</span>
+                <label class="probe"><input type="checkbox" name="relayStream" value="${escapeHtml(s.url)}"${overrides.relayStreams.includes(s.url) ? ' checked' : ''}> relay</label></li>`).join('');
+
+        return `
+        <tr data-id="${escapeHtml(channel.id)}" data-name="${escapeHtml(channel.name)}">
+            <td><img src="${escapeHtml(await getPoster(channel))}" alt="" loading="lazy"></td>
+            <td><strong>${escapeHtml(channel.name)}</strong><br><code>${escapeHtml(channel.id)}</code><br>
+                <span class="hint">${escapeHtml((channel.categories || []).join(', '))}</span></td>
+            <td><ul class="streams">${streamList || '<li class="hint">Fără streamuri</li>'}</ul></td>
+            <td><input name="name" placeholder="Nume" value="${escapeHtml(override.name || '')}">
+                <input name="logo" placeholder="URL logo" value="${escapeHtml(override.logo || '')}"></td>
+            <td class="center"><input type="checkbox" name="hidden"${overrides.hiddenChannels.includes(channel.id) ? ' checked' : ''}></td>
+            <td class="center"><input type="checkbox" name="relay"${overrides.relayChannels.includes(channel.id) ? ' checked' : ''}></td>
+            <td class="center"><button type="button" class="small" onclick="addPriority(this.closest('tr').dataset.name)">★</button></td>
+        </tr>`;
+    }));
+
+    const servedIds = new Set(served.map(c => c.id));
+    const channelStreams = streams.filter(s => servedIds.has(s.channel));
+    const working = channelStreams.filter(s => streamHealth.get(s.url)?.ok).length;
+
+    // Embedded in a <script>, so "<" is escaped to keep "</script>" out of the JSON
+    const state = JSON.stringify({
+        overrides,
+        priorityChannels: getDefaultConfig().priorityChannels
+    }).replace(/</g, '\\u003c');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+<title>Romanian TV - Administrare</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+* {
+    box-sizing: border-box;
+}
+body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    background: #0a0e27;
+    color: #e0e7ff;
+    margin: 0;
+    padding: 20px;
+}
+.container {
+    max-width: 1200px;
+    margin: 0 auto;
+    background: rgba(15, 23, 42, 0.8);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    padding: 40px;
+    border-radius: 16px;
+}
+h1 {
+    margin: 0 0 8px 0;
+    color: #a78bfa;
+}
+h3 {
+    font-size: 0.875em;
+    font-weight: 600;
+    color: #cbd5e1;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    margin: 28px 0 12px 0;
+}
+.hint {
+    color: #94a3b8;
+    font-size: 14px;
+}
+input {
+    width: 100%;
+    background: rgba(15, 23, 42, 0.9);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    color: #e0e7ff;
+    padding: 8px 10px;
+    border-radius: 8px;
+    font-family: inherit;
+    font-size: 14px;
+    margin: 2px 0;
+}
+input[type="checkbox"] {
+    width: auto;
+}
+button {
+    padding: 12px 20px;
+    font-size: 15px;
+    font-weight: 600;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    font-family: inherit;
+    background: linear-gradient(135deg, #a78bfa 0%, #ec4899 50%, #3b82f6 100%);
+    color: #ffffff;
+}
+button.small {
+    padding: 4px 10px;
+    font-size: 13px;
+}
+.toolbar {
+    display: flex;
+    gap: 12px;
+    align-items: center;
+    margin-top: 16px;
+}
+#priority {
+    padding-left: 24px;
+}
+#priority li {
+    margin: 4px 0;
+}
+#priority button {
+    margin-left: 4px;
+}
+.add {
+    display: flex;
+    gap: 8px;
+    max-width: 420px;
+}
+table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 14px;
+}
+th, td {
+    text-align: left;
+    vertical-align: top;
+    padding: 10px 8px;
+    border-bottom: 1px solid rgba(139, 92, 246, 0.2);
+}
+td img {
+    width: 64px;
+    max-height: 48px;
+    object-fit: contain;
+}
+.center {
+    text-align: center;
+}
+.streams {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+}
+.streams li {
+    margin-bottom: 6px;
+}
+.url {
+    display: block;
+    max-width: 360px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+.probe {
+    color: #94a3b8;
+    font-size: 12px;
+}
+</style>
+</head>
+<body>
+<div class="container">
+    <h1>Administrare</h1>
+    <p class="hint">${served.length} canale · ${channelStreams.length} streamuri · ${working} funcționale la ultima verificare ·
+    date actualizate la ${lastFetch ? `${formatEpgDate(lastFetch)} ${formatEpgTime(lastFetch)}` : '-'}</p>
+
+    <div class="toolbar">
+        <button type="button" onclick="save()">Salvează</button>
+        <button type="button" onclick="refreshCache()">Reîmprospătează datele</button>
+        <span class="hint" id="status"></span>
+    </div>
+
+    <h3>Canale prioritare</h3>
+    <p class="hint">Apar primele în cataloage, în această ordine (potrivire după nume). Se aplică utilizatorilor fără listă proprie.</p>
+    <ol id="priority"></ol>
+    <div class="add">
+        <input id="priorityInput" placeholder="Nume canal">
+        <button type="button" class="small" onclick="addPriority(document.getElementById('priorityInput').value)">Adaugă</button>
+    </div>
+
+    <h3>Canale</h3>
+    <table>
+        <thead>
+            <tr><th>Logo</th><th>Canal</th><th>Streamuri</th><th>Nume / logo personalizat</th><th>Ascuns</th><th>Relay</th><th>Prioritar</th></tr>
+        </thead>
+        <tbody>${rows.join('')}
+        </tbody>
+    </table>
+</div>
+
+<script>
+const state = ${state};
+let priority = state.priorityChannels.slice();
+
+function renderPriority() {
+    const list = document.getElementById('priority');
+    list.innerHTML = '';
+    priority.forEach((name, index) => {
+        const item = document.createElement('li');
+        item.textContent = name;
+        [['↑', -1], ['↓', 1], ['✕', 0]].forEach(([label, move]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'small';
+            button.textContent = label;
+            button.onclick = () => movePriority(index, move);
+            item.appendChild(button);
+        });
+        list.appendChild(item);
+    });
+}
+
+function movePriority(index, move) {
+    const [name] = priority.splice(index, 1);
+    if (move) {
+        priority.splice(Math.max(0, Math.min(priority.length, index + move)), 0, name);
+    }
+    renderPriority();
+}
+
+function addPriority(name) {
+    name = (name || '').trim();
+    if (name && !priority.some(p => p.toLowerCase() === name.toLowerCase())) {
+        priority.push(name);
+        renderPriority();
+    }
+    document.getElementById('priorityInput').value = '';
+}
+
+function setStatus(text) {
+    document.getElementById('status').textContent = text;
+}
+
+async function post(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(result.error || 'HTTP ' + res.status);
+    return result;
+}
+
+async function save() {
+    // Keep overrides of channels that are not listed (other countries, removed channels)
+    const rows = [...document.querySelectorAll('tr[data-id]')];
+    const listed = new Set(rows.map(row => row.dataset.id));
+    const channels = {};
+    Object.entries(state.overrides.channels).forEach(([id, override]) => {
+        if (!listed.has(id)) channels[id] = override;
+    });
+    const hiddenChannels = state.overrides.hiddenChannels.filter(id => !listed.has(id));
+    const relayChannels = state.overrides.relayChannels.filter(id => !listed.has(id));
+    const streamInputs = [...document.querySelectorAll('input[name="relayStream"]')];
+    const listedStreams = new Set(streamInputs.map(input => input.value));
+    const relayStreams = state.overrides.relayStreams
+        .filter(url => !listedStreams.has(url))
+        .concat(streamInputs.filter(input => input.checked).map(input => input.value));
+
+    rows.forEach(row => {
+        const name = row.querySelector('input[name="name"]').value.trim();
+        const logo = row.querySelector('input[name="logo"]').value.trim();
+        if (name || logo) channels[row.dataset.id] = { name, logo };
+        if (row.querySelector('input[name="hidden"]').checked) hiddenChannels.push(row.dataset.id);
+        if (row.querySelector('input[name="relay"]').checked) relayChannels.push(row.dataset.id);
+    });
+
+    try {
+        const result = await post('/admin/overrides', {
+            priorityChannels: priority,
+            hiddenChannels,
+            relayChannels,
+            relayStreams,
+            channels
+        });
+        state.overrides = result.overrides;
+        setStatus('Salvat.');
+    } catch (err) {
+        setStatus('Eroare: ' + err.message);
+    }
+}
+
+async function refreshCache() {
+    setStatus('Se reîmprospătează...');
+    try {
+        const result = await post('/admin/refresh');
+        setStatus(result.channels + ' canale încărcate.');
+        setTimeout(() => window.location.reload(), 1000);
+    } catch (err) {
+        setStatus('Eroare: ' + err.message);
+    }
+}
+
+renderPriority();
+</script>
+</body>
+</html>`);
+}));
+
+app.post('/admin/overrides', requireAdmin, requireSameOriginJson, asyncHandler(async (req, res) => {
+    if (!await saveOverrides(req.body)) {
+        return res.status(500).json({ error: 'Failed to write overrides file' });
+    }
+
+    console.log(`🛠️ Overrides saved: ${overrides.hiddenChannels.length} hidden, ${Object.keys(overrides.channels).length} edited channels`);
+    res.json({ overrides });
+}));
+
+// Refetches iptv-org data, logos and guide (even with an open circuit) and drops the
+// variant and poster caches. Waits for the channel data only.
+app.post('/admin/refresh', requireAdmin, requireSameOriginJson, asyncHandler(async (req, res) => {
+    circuits.clear();
+    variantsCache.clear();
+    failoverWinners.clear();
+    clearPosterCache();
 
-/* ---------------- HLS PROXY ENDPOINT ---------------- */
-app.get('/hls-proxy/:streamUrl(*)', async (req, res) => {
     try {
-        const streamUrl = decodeURIComponent(req.params.streamUrl);
+        const { channels } = await refreshData();
+        refreshLogos().catch(() => {});
+        refreshEpg();
+        checkStreamHealth();
 
-        // Fetch the stream content with redirect following
-        const response = await axios.get(streamUrl, {
-            responseType: 'stream',
-            maxRedirects: 5,
-            timeout: 10000, // 10 second timeout
-            validateStatus: (status) => status < 400,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
+        res.json({ channels: getServedChannels(channels).length });
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+}));
 
-        // Get final URL after redirects
-        const finalUrl = response.request.res.responseUrl || streamUrl;
+/* ---------------- CONFIGURE PAGE ---------------- */
+app.get(['/configure', '/:config/configure'], asyncHandler(async (req, res) => {
+    const config = getConfig(req);
+    const text = STRINGS[config.locale];
+    const { channels, streamsByChannel, feeds } = await getData();
 
-        // Detect dead streams that redirect to error pages
-        const errorDomains = ['google.com', 'www.google.com', 'yahoo.com', 'bing.com'];
-        try {
-            const finalDomain = new URL(finalUrl).hostname;
-            if (errorDomains.some(domain => finalDomain.includes(domain))) {
-                console.error('Stream redirected to error page:', finalUrl);
-                return res.status(404).json({
-                    error: 'Stream not available',
-                    message: 'This stream appears to be dead or blocked'
-                });
-            }
-        } catch (urlError) {
-            console.error('Invalid final URL:', finalUrl);
-            return res.status(500).json({ error: 'Invalid redirect URL' });
-        }
+    // Only offer channels that actually have streams
+    const available = getServedChannels(channels)
+        .filter(c => !overrides.hiddenChannels.includes(c.id) && (config.nsfw || !c.is_nsfw))
+        .filter(c => streamsByChannel.has(c.id))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const genres = [...new Set(available.flatMap(c => c.categories || []))].sort();
+    const availableIds = new Set(available.map(c => c.id));
+    const languages = [...new Set([
+        ...available.flatMap(c => c.languages || []),
+        ...feeds.filter(f => availableIds.has(f.channel)).flatMap(f => f.languages || [])
+    ])].sort((a, b) => getLanguageName(a, config.locale).localeCompare(getLanguageName(b, config.locale)));
 
-        // Copy relevant headers
-        const contentType = response.headers['content-type'] || 'application/vnd.apple.mpegurl';
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type');
+    const checkbox = (name, value, label, checked) => `
+        <label class="option"><input type="checkbox" name="${name}" value="${escapeHtml(value)}"${checked ? ' checked' : ''}> ${escapeHtml(label)}</label>`;
 
-        // If it's an M3U8 playlist, rewrite URLs
-        if (contentType.includes('mpegurl') || contentType.includes('m3u8') || streamUrl.includes('.m3u8')) {
-            let playlistData = '';
+    res.send(`<!DOCTYPE html>
+<html lang="${config.locale}">
+<head>
+<title>Romanian TV - ${text.configureTitle}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+* {
+    box-sizing: border-box;
+}
+body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    background: #0a0e27;
+    color: #e0e7ff;
+    margin: 0;
+    padding: 20px;
+    display: flex;
+    justify-content: center;
+}
+.container {
+    max-width: 700px;
+    width: 100%;
+    background: rgba(15, 23, 42, 0.8);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    padding: 40px;
+    border-radius: 16px;
+}
+h1 {
+    margin: 0 0 8px 0;
+    color: #a78bfa;
+}
+h3 {
+    font-size: 0.875em;
+    font-weight: 600;
+    color: #cbd5e1;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    margin: 28px 0 12px 0;
+}
+.hint {
+    color: #94a3b8;
+    font-size: 14px;
+    margin: 0 0 12px 0;
+}
+textarea, select {
+    width: 100%;
+    background: rgba(15, 23, 42, 0.9);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    color: #e0e7ff;
+    padding: 12px;
+    border-radius: 8px;
+    font-family: inherit;
+    font-size: 14px;
+}
+textarea {
+    min-height: 140px;
+}
+.options {
+    max-height: 260px;
+    overflow-y: auto;
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px;
+    padding: 12px;
+    border: 1px solid rgba(139, 92, 246, 0.2);
+    border-radius: 8px;
+}
+.option {
+    color: #94a3b8;
+    font-size: 14px;
+}
+.manifest-url {
+    background: rgba(15, 23, 42, 0.9);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    padding: 16px 18px;
+    border-radius: 8px;
+    word-break: break-all;
+    font-family: 'Menlo', 'Monaco', 'Courier New', monospace;
+    font-size: 13px;
+    color: #a78bfa;
+}
+.buttons {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 12px;
+    margin-top: 24px;
+}
+button {
+    padding: 16px 24px;
+    font-size: 15px;
+    font-weight: 600;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    font-family: inherit;
+    background: linear-gradient(135deg, #a78bfa 0%, #ec4899 50%, #3b82f6 100%);
+    color: #ffffff;
+}
+@media (max-width: 600px) {
+    .container {
+        padding: 30px 24px;
+    }
+    .options, .buttons {
+        grid-template-columns: 1fr;
+    }
+}
+</style>
+</head>
+<body>
+<div class="container">
+    <h1>${text.configureTitle}</h1>
+    <p class="hint">${text.configureIntro}</p>
 
-            response.data.on('data', (chunk) => {
-                playlistData += chunk.toString('utf8');
-            });
+    <form id="configForm" oninput="updateManifest()">
+        <h3>${text.addonLanguage}</h3>
+        <p class="hint">${text.addonLanguageHint}</p>
+        <select name="locale" onchange="window.location.href = configureUrl()">${LOCALES.map(l => `
+            <option value="${l}"${l === config.locale ? ' selected' : ''}>${l === 'ro' ? 'Română' : 'English'}</option>`).join('')}
+        </select>
 
-            response.data.on('end', () => {
-                // Validate playlist content
-                if (!playlistData.includes('#EXTM3U')) {
-                    // Check if it's an HTML error page
-                    const isHTML = playlistData.trim().toLowerCase().startsWith('<!doctype') ||
-                                   playlistData.trim().toLowerCase().startsWith('<html');
+        <h3>${text.countries}</h3>
+        <p class="hint">${text.countriesHint}</p>
+        <div class="options">${COUNTRIES.map(c => checkbox('countries', c, getCountryName(c, config.locale), config.countries.includes(c))).join('')}
+        </div>
 
-                    return res.status(404).json({
-                        error: 'Stream unavailable',
-                        message: isHTML ? 'Stream returned an error page (expired or blocked)' : 'Invalid M3U8 format'
-                    });
-                }
+        <h3>${text.rows}</h3>
+        <p class="hint">${text.rowsHint} <code>countries</code>, <code>genres</code>, <code>networks</code>,
+        <code>country:RO</code>, <code>genre:news</code>, <code>network:Antena TV Group</code>.
+        ${text.rowsSearchHint}</p>
+        <textarea name="rows">${escapeHtml((config.rows.length ? config.rows : CATALOG_ROWS).join('\n'))}</textarea>
 
-                const baseUrl = `${req.protocol}://${req.headers.host}`;
-                const streamBaseUrl = finalUrl.substring(0, finalUrl.lastIndexOf('/') + 1);
+        <h3>${text.priorityChannels}</h3>
+        <p class="hint">${text.priorityChannelsHint}</p>
+        <textarea name="priorityChannels">${escapeHtml(config.priorityChannels.join('\n'))}</textarea>
 
-                try {
-                    // Detect if this is a master playlist (contains #EXT-X-STREAM-INF) or media playlist
-                    const isMasterPlaylist = playlistData.includes('#EXT-X-STREAM-INF');
-
-                    const rewrittenPlaylist = playlistData.replace(
-                        /^(?!#|http)(.+)$/gm,
-                        (match) => {
-                            try {
-                                const trimmedMatch = match.trim();
-                                if (!trimmedMatch) return match;
-
-                                const absoluteUrl = trimmedMatch.startsWith('/')
-                                    ? new URL(trimmedMatch, new URL(finalUrl).origin).href
-                                    : streamBaseUrl + trimmedMatch;
-
-                                // Only proxy if it's another M3U8 playlist (master -> media playlist)
-                                // For video segments (.ts, .m4s, etc), use direct URLs to save bandwidth
-                                const isPlaylist = trimmedMatch.includes('.m3u8') || trimmedMatch.includes('.m3u');
-
-                                if (isPlaylist) {
-                                    // Proxy nested playlists
-                                    return `${baseUrl}/hls-proxy/${encodeURIComponent(absoluteUrl)}`;
-                                } else {
-                                    // Return direct URL for video segments (saves bandwidth!)
-                                    return absoluteUrl;
-                                }
-                            } catch (err) {
-                                // If URL parsing fails, return original line
-                                console.warn('Failed to parse segment URL:', match);
-                                return match;
-                            }
-                        }
-                    );
+        <h3>${text.hiddenChannels}</h3>
+        <div class="options">${available.map(c => checkbox('hiddenChannels', c.id, c.name, isHiddenChannel(c, config))).join('')}
+        </div>
 
-                    res.send(rewrittenPlaylist);
-                } catch (err) {
-                    console.error('Playlist rewrite error:', err.message);
-                    res.status(500).json({ error: 'Failed to process playlist' });
-                }
-            });
-        } else {
-            // For video segments, redirect to origin instead of proxying to save bandwidth
-            res.redirect(307, finalUrl);
-        }
+        <h3>${text.genres}</h3>
+        <p class="hint">${text.genresHint}</p>
+        <div class="options">${genres.map(g => checkbox('genres', g, getGenreLabel(g, config.locale), config.genres.includes(g))).join('')}
+        </div>
 
-    } catch (error) {
-        // Provide specific error messages based on error type
-        let statusCode = 500;
-        let errorMessage = 'Failed to proxy stream';
+        <h3>${text.quality}</h3>
+        <select name="quality">${QUALITY_OPTIONS.map(q => `
+            <option value="${q}"${q === config.quality ? ' selected' : ''}>${q === 'any' ? text.anyQuality : q}</option>`).join('')}
+        </select>
 
-        if (error.code === 'ECONNREFUSED') {
-            statusCode = 503;
-            errorMessage = 'Stream server refused connection';
-        } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-            statusCode = 504;
-            errorMessage = 'Stream server timeout';
-        } else if (error.response) {
-            statusCode = error.response.status;
-            errorMessage = `Stream server returned ${error.response.status}`;
-        }
+        <h3>${text.languages}</h3>
+        <p class="hint">${text.languagesHint}</p>
+        <div class="options">${languages.map(l => checkbox('languages', l, getLanguageName(l, config.locale), config.languages.includes(l))).join('')}
+        </div>
 
-        console.error('Proxy error:', {
-            url: req.params.streamUrl ? decodeURIComponent(req.params.streamUrl) : 'unknown',
-            code: error.code,
-            message: error.message
-        });
+        <h3>${text.adultContent}</h3>
+        <label class="option"><input type="checkbox" name="nsfw"${config.nsfw ? ' checked' : ''}> ${text.showNsfw}</label>
+    </form>
 
-        res.status(statusCode).json({
-            error: errorMessage,
-            details: error.message
-        });
-    }
-});
+    <h3>URL</h3>
+    <div class="manifest-url" id="manifest"></div>
 
-/* ---------------- POSTER GENERATOR ENDPOINT (PNG) ---------------- */
-app.get('/poster-png/:channelId/:logoUrl(*)', async (req, res) => {
-    try {
-        const logoUrl = decodeURIComponent(req.params.logoUrl);
-        const channelId = decodeURIComponent(req.params.channelId);
-        const cacheKey = `${channelId}-${logoUrl}`;
+    <div class="buttons">
+        <button onclick="installWeb()">${text.installWeb}</button>
+        <button onclick="installApp()">${text.installApp}</button>
+    </div>
+</div>
 
-        // Check cache first
-        const cached = posterCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < POSTER_TTL) {
-            res.setHeader('Content-Type', 'image/png');
-            res.setHeader('Cache-Control', 'public, max-age=604800'); // Cache for 7 days
-            res.setHeader('X-Cache', 'HIT');
-            return res.send(cached.buffer);
-        }
+<script>
+function buildConfig() {
+    const form = document.getElementById('configForm');
+    const checked = name => [...form.querySelectorAll('input[name="' + name + '"]:checked')].map(i => i.value);
 
-        // Download logo with retry and timeout
-        const logoResponse = await axios.get(logoUrl, {
-            responseType: 'arraybuffer',
-            timeout: 5000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
-        const logoBuffer = Buffer.from(logoResponse.data);
-
-        // Get logo dimensions and resize to fit in 320x400 box (with padding for TV)
-        const logoImage = sharp(logoBuffer);
-        const logoMetadata = await logoImage.metadata();
-
-        // Calculate resize dimensions maintaining aspect ratio
-        const maxWidth = 320;
-        const maxHeight = 400;
-        let resizeWidth = logoMetadata.width;
-        let resizeHeight = logoMetadata.height;
-
-        if (resizeWidth > maxWidth || resizeHeight > maxHeight) {
-            const widthRatio = maxWidth / resizeWidth;
-            const heightRatio = maxHeight / resizeHeight;
-            const ratio = Math.min(widthRatio, heightRatio);
-            resizeWidth = Math.round(resizeWidth * ratio);
-            resizeHeight = Math.round(resizeHeight * ratio);
-        }
-
-        // Resize logo
-        const resizedLogo = await sharp(logoBuffer)
-            .resize(resizeWidth, resizeHeight, { fit: 'inside' })
-            .toBuffer();
-
-        // Create dark background (480x720 - portrait 2:3 ratio)
-        const background = await sharp({
-            create: {
-                width: 480,
-                height: 720,
-                channels: 4,
-                background: { r: 26, g: 26, b: 46, alpha: 1 } // #1a1a2e
-            }
-        }).png().toBuffer();
-
-        // Calculate position to center logo
-        const left = Math.round((480 - resizeWidth) / 2);
-        const top = Math.round((720 - resizeHeight) / 2);
-
-        // Composite logo on background
-        const finalImage = await sharp(background)
-            .composite([{
-                input: resizedLogo,
-                left,
-                top
-            }])
-            .png()
-            .toBuffer();
-
-        // Cache the result
-        posterCache.set(cacheKey, {
-            buffer: finalImage,
-            timestamp: Date.now()
-        });
+    return {
+        priorityChannels: form.priorityChannels.value.split('\\n').map(l => l.trim()).filter(Boolean),
+        hiddenChannels: checked('hiddenChannels'),
+        genres: checked('genres'),
+        countries: checked('countries'),
+        rows: form.rows.value.split('\\n').map(l => l.trim()).filter(Boolean),
+        quality: form.quality.value,
+        languages: checked('languages'),
+        nsfw: form.nsfw.checked,
+        locale: form.locale.value
+    };
+}
 
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Cache-Control', 'public, max-age=604800'); // Cache for 7 days
-        res.setHeader('X-Cache', 'MISS');
-        res.send(finalImage);
+function encodeConfig(config) {
+    const bytes = new TextEncoder().encode(JSON.stringify(config));
+    const base64 = btoa(String.fromCharCode(...bytes));
+    return base64.replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+}
 
-    } catch (error) {
-        // Redirect to original logo as fallback
-        const logoUrl = decodeURIComponent(req.params.logoUrl);
-        res.redirect(logoUrl);
-    }
-});
+function updateManifest() {
+    const url = 'https://${req.headers.host}${req.basePath || ''}/' + encodeConfig(buildConfig()) + '/manifest.json';
+    document.getElementById('manifest').textContent = url;
+}
+
+// Reloads the page in the new language
+function configureUrl() {
+    return '${req.basePath || ''}/' + encodeConfig(buildConfig()) + '/configure';
+}
+
+function installWeb() {
+    const url = document.getElementById('manifest').textContent;
+    window.open('https://web.stremio.com/#/addons?addon=' + encodeURIComponent(url), '_blank');
+}
+
+function installApp() {
+    const url = document.getElementById('manifest').textContent;
+    window.location.href = 'stremio://' + url.replace(/^https?:\\/\\//, '');
+}
+
+updateManifest();
+</script>
+</body>
+</html>`);
+}));
 
 /* ---------------- LANDING PAGE ---------------- */
+// In the visitor's language. The install link carries that language as the addon config
+// when it isn't the default, so Stremio shows the catalogs in it too.
 app.get('/', (req, res) => {
-    const manifestUrl = `https://${req.headers.host}/manifest.json`;
+    const locale = req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+    const text = STRINGS[locale];
+    const installPath = `${req.basePath || ''}${locale === DEFAULT_LOCALE ? '' : `/${Buffer.from(JSON.stringify({ locale })).toString('base64url')}`}`;
+    const manifestUrl = `https://${req.headers.host}${installPath}/manifest.json`;
 
+    res.setHeader('Vary', 'Accept-Language');
     res.send(`<!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
 <title>Romanian TV Stremio Addon</title>
 <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -751,6 +4151,18 @@ button {
     background: rgba(51, 65, 85, 0.8);
     border-color: rgba(71, 85, 105, 0.6);
 }
+.configure-link {
+    text-align: center;
+    margin: 16px 0 0 0;
+    font-size: 14px;
+}
+.configure-link a {
+    color: #a78bfa;
+    text-decoration: none;
+}
+.configure-link a:hover {
+    color: #c4b5fd;
+}
 .support {
     text-align: center;
     margin-top: 30px;
@@ -844,39 +4256,40 @@ button {
         <img src="/logo.png" alt="Romanian TV Logo" class="logo" />
         <h1>Romanian TV</h1>
     </div>
-    <p class="subtitle">Addon Stremio pentru Canale TV Românești</p>
+    <p class="subtitle">${text.subtitle}</p>
 
     <h3>URL</h3>
     <div class="manifest-container">
         <div class="manifest-url-wrapper">
             <div class="manifest-url" id="manifest">${manifestUrl}</div>
-            <button class="btn-copy" id="copyBtn" onclick="copyManifest()">Copiază</button>
+            <button class="btn-copy" id="copyBtn" onclick="copyManifest()">${text.copy}</button>
         </div>
     </div>
 
     <div class="buttons">
-        <button class="btn-primary" onclick="installWeb()">Instalează pe Stremio Web</button>
-        <button class="btn-primary" onclick="installApp()">Instalează pe Aplicația Stremio</button>
+        <button class="btn-primary" onclick="installWeb()">${text.installWeb}</button>
+        <button class="btn-primary" onclick="installApp()">${text.installApp}</button>
     </div>
+    <p class="configure-link"><a href="${installPath}/configure">${text.configure}</a></p>
 
     <div class="screenshots">
         <div class="screenshot-item">
-            <img src="/board.png" alt="Pagina Principală Romanian TV" />
+            <img src="/board.png" alt="${text.screenshot}" />
         </div>
     </div>
 
     <div class="support">
-        <p>Îți place acest addon? ♥️ Susține-mă!</p>
+        <p>${text.support}</p>
         <a href="https://ko-fi.com/dianadragoi#" target="_blank" rel="noopener" class="btn-kofi">
             <img src="https://storage.ko-fi.com/cdn/cup-border.png" alt="Ko-fi" />
-            Cumpara-mi o cafea
+            ${text.kofi}
         </a>
     </div>
 </div>
 
 <div class="footer">
-    Dezvoltat de <a href="https://github.com/dianadragoi35" target="_blank" rel="noopener">dianadragoi</a> •
-    Oferit de <a href="https://github.com/iptv-org/iptv" target="_blank" rel="noopener">iptv-org</a>
+    ${text.developedBy} <a href="https://github.com/dianadragoi35" target="_blank" rel="noopener">dianadragoi</a> •
+    ${text.providedBy} <a href="https://github.com/iptv-org/iptv" target="_blank" rel="noopener">iptv-org</a>
 </div>
 
 <script>
@@ -884,10 +4297,10 @@ function copyManifest() {
     const url = document.getElementById('manifest').textContent;
     const btn = document.getElementById('copyBtn');
     navigator.clipboard.writeText(url).then(() => {
-        btn.textContent = 'Copiat!';
+        btn.textContent = '${text.copied}';
         btn.classList.add('copied');
         setTimeout(() => {
-            btn.textContent = 'Copiază';
+            btn.textContent = '${text.copy}';
             btn.classList.remove('copied');
         }, 2000);
     });
@@ -907,7 +4320,99 @@ function installApp() {
 </html>`);
 });
 
+/* ---------------- REFRESH SCHEDULER ---------------- */
+// Requests only ever read the caches; refreshes happen here, on a timer.
+let schedulerRunning = false;
+
+// Refresh when the TTL is up, or earlier when iptv-org published new streams (ETag changed)
+async function checkDataFreshness() {
+    if (Date.now() - lastFetch >= TTL) return true;
+    if (isCircuitOpen('data')) return false;
+
+    try {
+        const headRes = await axios.head(IPTV_STREAMS_URL, { timeout: ETAG_CHECK_TIMEOUT });
+        const currentETag = headRes.headers['etag'];
+
+        if (currentETag && currentETag !== lastETag) {
+            console.log('🔄 New data detected from iptv-org (ETag changed), refreshing cache...');
+            return true;
+        }
+    } catch (err) {
+        // If HEAD request fails, keep the cache until the TTL is up
+    }
+    return false;
+}
+
+async function runScheduledRefreshes() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+        // Loads the disk snapshot (or fetches on a cold start) so the first requests don't wait
+        await getData().catch(() => {});
+
+        const tasks = [];
+        if (cache.channels && await checkDataFreshness()) {
+            tasks.push(refreshData());
+        }
+        if (!logosCache || Date.now() - logosLastFetch >= LOGOS_TTL) {
+            // fetchLogos loads the snapshot first
+            tasks.push(fetchLogos().then(() => Date.now() - logosLastFetch >= LOGOS_TTL && refreshLogos()));
+        }
+        if (!epgCache || Date.now() - epgLastFetch >= EPG_TTL) {
+            tasks.push(getEpg().then(() => Date.now() - epgLastFetch >= EPG_TTL && refreshEpg()));
+        }
+
+        // Failures are already logged and counted by the refresh functions
+        await Promise.allSettled(tasks);
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+function startRefreshScheduler() {
+    runScheduledRefreshes();
+    setInterval(runScheduledRefreshes, REFRESH_CHECK_INTERVAL);
+}
+
+/* ---------------- ERROR HANDLER ---------------- */
+// Last resort for errors thrown by the routes (e.g. a cold start while iptv-org is down).
+// Stremio gets an empty answer it can render, everything else a JSON error.
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const route = getRouteLabel(req.path);
+    incrementCounter(metrics.routeErrors, route);
+    console.error(`❌ ${req.method} ${req.path} failed:`, err.message);
+
+    res.setHeader('Cache-Control', 'no-cache');
+    if (route === 'catalog') {
+        res.json({ metas: [] });
+    } else if (route === 'meta') {
+        res.json({ meta: {} });
+    } else if (route === 'stream') {
+        res.json({ streams: [] });
+    } else if (route === 'manifest') {
+        res.status(503).json({ error: 'Channel data is not available yet' });
+    } else {
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /* ---------------- SERVER START ---------------- */
 app.listen(PORT, () => {
     console.log(`🇷🇴 Romanian TV addon running`);
+
+    // Load the disk snapshots and keep data, logos and guide fresh in the background
+    startRefreshScheduler();
+    prunePosterFiles();
+
+    // Tokens are issued and revoked by editing the file, no restart needed
+    fs.watchFile(ACCESS_TOKENS_FILE, { interval: 5000, persistent: false }, loadAccessTokens);
+
+    // Probe streams in the background so dead channels disappear from the catalog
+    checkStreamHealth();
+    setInterval(checkStreamHealth, HEALTH_CHECK_INTERVAL);
 });